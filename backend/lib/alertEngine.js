@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { parseDuration } = require('./duration');
+const { logger } = require('./logger');
+
+const OPERATORS = {
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b
+};
+
+const DEFAULT_RULES = [
+    { name: 'cpu-high', type: 'threshold', metric: 'cpu', op: '>', value: 90, for: '5m', severity: 'warning' },
+    { name: 'memory-high', type: 'threshold', metric: 'memory', op: '>', value: 85, for: '5m', severity: 'warning' },
+    { name: 'disk-high', type: 'threshold', metric: 'disk', op: '>', value: 90, for: '10m', severity: 'critical' },
+    { name: 'backend-unhealthy', type: 'health', for: '2m', severity: 'critical' },
+    { name: 'backend-app-down', type: 'container', container: 'backend-app', condition: 'not-running', severity: 'critical' },
+    { name: 'frontend-app-down', type: 'container', container: 'frontend-app', condition: 'not-running', severity: 'critical' }
+];
+
+const validateRule = (rule) => {
+    if (!rule.name) throw new Error('Alert rule is missing a name');
+    if (rule.type === 'threshold') {
+        if (!['cpu', 'memory', 'disk'].includes(rule.metric)) {
+            throw new Error(`Alert rule "${rule.name}": unknown metric "${rule.metric}"`);
+        }
+        if (!OPERATORS[rule.op]) throw new Error(`Alert rule "${rule.name}": unknown operator "${rule.op}"`);
+        if (typeof rule.value !== 'number') throw new Error(`Alert rule "${rule.name}": value must be a number`);
+    } else if (rule.type === 'container') {
+        if (!rule.container) throw new Error(`Alert rule "${rule.name}": container is required`);
+        if (!['not-running', 'unhealthy'].includes(rule.condition)) {
+            throw new Error(`Alert rule "${rule.name}": unknown condition "${rule.condition}"`);
+        }
+    } else if (rule.type !== 'health') {
+        throw new Error(`Alert rule "${rule.name}": unknown type "${rule.type}"`);
+    }
+
+    return {
+        severity: 'warning',
+        ...rule,
+        forMs: parseDuration(rule.for)
+    };
+};
+
+// Returns { active, value, summary }, or null when the input needed is unavailable
+const evaluateRule = (rule, context) => {
+    if (rule.type === 'threshold') {
+        const value = context.health ? context.health[rule.metric] : null;
+        if (value === null || value === undefined) return null;
+        return {
+            active: OPERATORS[rule.op](value, rule.value),
+            value,
+            summary: `${rule.metric} at ${value}% (${rule.op} ${rule.value}%)`
+        };
+    }
+
+    if (rule.type === 'health') {
+        if (!context.health) return null;
+        return {
+            active: !context.health.healthy,
+            value: context.health.healthy ? 'healthy' : 'unhealthy',
+            summary: context.health.healthy ? 'backend healthy' : 'backend reports unhealthy'
+        };
+    }
+
+    if (!context.containers) return null;
+    const container = context.containers.find(c =>
+        c.name === rule.container || c.labels['com.docker.compose.service'] === rule.container
+    );
+
+    if (rule.condition === 'not-running') {
+        const state = container ? container.state : 'missing';
+        return {
+            active: state !== 'running',
+            value: state,
+            summary: `container ${rule.container} is ${state}`
+        };
+    }
+
+    const health = container ? container.health : 'missing';
+    return {
+        active: health === 'unhealthy' || health === 'missing',
+        value: health,
+        summary: `container ${rule.container} health is ${health}`
+    };
+};
+
+// Rule evaluation with pending -> firing -> resolved states. Notifications are
+// sent on transitions only (plus optional repeats), and skipped while silenced.
+class AlertEngine extends EventEmitter {
+    constructor({ rules = DEFAULT_RULES, notifiers = [], collect, interval = 15000, repeatInterval = 0, historySize = 50 } = {}) {
+        super();
+        this.rules = rules.map(validateRule);
+        this.notifiers = notifiers;
+        this.collect = collect;
+        this.interval = interval;
+        this.repeatInterval = parseDuration(repeatInterval);
+        this.historySize = historySize;
+        this.alerts = new Map();
+        this.history = [];
+        this.silences = [];
+        this.timer = null;
+    }
+
+    start() {
+        this.timer = setInterval(() => {
+            this.evaluate().catch(error => logger.error('Alert evaluation failed', { error }));
+        }, this.interval);
+        this.timer.unref();
+        return this.evaluate();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async evaluate(now = Date.now()) {
+        const context = await this.collect();
+
+        for (const rule of this.rules) {
+            const result = evaluateRule(rule, context);
+            if (result) await this.update(rule, result, now);
+        }
+    }
+
+    async update(rule, result, now) {
+        let alert = this.alerts.get(rule.name);
+
+        if (!result.active) {
+            if (!alert) return;
+            this.alerts.delete(rule.name);
+            if (alert.state === 'firing') {
+                Object.assign(alert, { state: 'resolved', resolvedAt: new Date(now).toISOString(), value: result.value, summary: result.summary });
+                this.history.unshift(alert);
+                this.history.length = Math.min(this.history.length, this.historySize);
+                await this.notify('resolved', alert);
+            }
+            return;
+        }
+
+        if (!alert) {
+            alert = {
+                rule: rule.name,
+                type: rule.type,
+                severity: rule.severity,
+                state: 'pending',
+                activeAt: new Date(now).toISOString(),
+                firedAt: null,
+                resolvedAt: null,
+                lastNotifiedAt: null
+            };
+            this.alerts.set(rule.name, alert);
+        }
+
+        Object.assign(alert, { value: result.value, summary: result.summary });
+
+        if (alert.state === 'pending' && now - Date.parse(alert.activeAt) >= rule.forMs) {
+            alert.state = 'firing';
+            alert.firedAt = new Date(now).toISOString();
+            await this.notify('firing', alert);
+        } else if (alert.state === 'firing' && this.repeatInterval > 0
+            && now - Date.parse(alert.lastNotifiedAt || alert.firedAt) >= this.repeatInterval) {
+            await this.notify('firing', alert);
+        }
+    }
+
+    async notify(status, alert) {
+        this.emit('transition', { status, alert: { ...alert } });
+
+        const silence = this.findSilence(alert);
+        if (silence) {
+            alert.silencedBy = silence.id;
+            return;
+        }
+        delete alert.silencedBy;
+        alert.lastNotifiedAt = new Date().toISOString();
+
+        await Promise.all(this.notifiers.map(async (notifier) => {
+            try {
+                await notifier.send(status, { ...alert });
+                this.emit('notified', { notifier: notifier.name, status, alert });
+            } catch (error) {
+                logger.error('Alert notifier failed', { notifier: notifier.name, rule: alert.rule, error });
+                this.emit('notifyFailed', { notifier: notifier.name, status, alert, error });
+            }
+        }));
+    }
+
+    // Silences match on rule name and/or severity, within a time window
+    addSilence({ rule, severity, endsAt, duration, comment = '', createdBy = null }) {
+        if (!rule && !severity) throw new Error('A silence needs a rule or severity matcher');
+
+        const starts = Date.now();
+        const ends = endsAt ? Date.parse(endsAt) : starts + parseDuration(duration || '1h');
+        if (Number.isNaN(ends) || ends <= starts) throw new Error('Silence must end in the future');
+
+        const silence = {
+            id: crypto.randomUUID(),
+            matchers: { ...(rule ? { rule } : {}), ...(severity ? { severity } : {}) },
+            startsAt: new Date(starts).toISOString(),
+            endsAt: new Date(ends).toISOString(),
+            comment,
+            createdBy
+        };
+        this.silences.push(silence);
+        return silence;
+    }
+
+    removeSilence(id) {
+        const before = this.silences.length;
+        this.silences = this.silences.filter(silence => silence.id !== id);
+        return this.silences.length !== before;
+    }
+
+    activeSilences(now = Date.now()) {
+        this.silences = this.silences.filter(silence => Date.parse(silence.endsAt) > now);
+        return this.silences;
+    }
+
+    findSilence(alert) {
+        return this.activeSilences().find(({ matchers }) =>
+            (!matchers.rule || matchers.rule === alert.rule)
+            && (!matchers.severity || matchers.severity === alert.severity)
+        );
+    }
+
+    getState() {
+        return {
+            rules: this.rules.map(({ forMs, ...rule }) => rule),
+            alerts: [...this.alerts.values()].map(alert => ({
+                ...alert,
+                silenced: Boolean(this.findSilence(alert))
+            })),
+            resolved: this.history,
+            silences: this.activeSilences(),
+            notifiers: this.notifiers.map(notifier => notifier.name)
+        };
+    }
+}
+
+module.exports = { AlertEngine, DEFAULT_RULES, evaluateRule };
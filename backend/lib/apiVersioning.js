@@ -0,0 +1,59 @@
+// Error codes for the v1 envelope, by HTTP status
+const ERROR_CODES = {
+    400: 'invalid_request',
+    401: 'unauthenticated',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    413: 'payload_too_large',
+    429: 'rate_limited',
+    500: 'internal_error',
+    502: 'bad_gateway',
+    503: 'unavailable',
+    504: 'gateway_timeout'
+};
+
+const ENVELOPE_FIELDS = ['error', 'message', 'code', 'details', 'timestamp', 'requestId'];
+
+// Handlers send { error, message, ...extra, timestamp }; v1 clients get { code, message, details, requestId }
+const toErrorEnvelope = (body, statusCode, requestId) => {
+    const extra = Object.fromEntries(Object.entries(body).filter(([key]) => !ENVELOPE_FIELDS.includes(key)));
+    return {
+        code: body.code || ERROR_CODES[statusCode] || (statusCode >= 500 ? 'internal_error' : 'request_failed'),
+        message: body.message || body.error || 'Request failed',
+        details: body.details !== undefined ? body.details : (Object.keys(extra).length ? extra : null),
+        requestId
+    };
+};
+
+// Mounted on /api/v1 ahead of everything that can answer with an error (rate limits, validation, auth)
+const errorEnvelope = () => (req, res, next) => {
+    req.apiVersion = 'v1';
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body)) {
+            return json(toErrorEnvelope(body, res.statusCode, req.id));
+        }
+        return json(body);
+    };
+    next();
+};
+
+// Unversioned /api/* routes keep answering as before, flagged with Deprecation (RFC 9745),
+// a successor-version link and, once a removal date is set, Sunset (RFC 8594)
+const deprecatedAlias = ({ successor, deprecatedAt, sunset = null }) => {
+    const deprecation = `@${Math.floor(Date.parse(deprecatedAt) / 1000)}`;
+    const sunsetDate = sunset ? new Date(sunset).toUTCString() : null;
+
+    return (req, res, next) => {
+        res.set('Deprecation', deprecation);
+        res.set('Link', `<${successor}${req.path}>; rel="successor-version"`);
+        if (sunsetDate) res.set('Sunset', sunsetDate);
+        next();
+    };
+};
+
+// "/api/containers" -> "/api/v1/containers"; versioned and non-API paths are left alone
+const canonicalPath = (path) => path.replace(/^\/api\/(?!v\d+(\/|$))/, '/api/v1/');
+
+module.exports = { errorEnvelope, deprecatedAlias, canonicalPath, toErrorEnvelope, ERROR_CODES };
@@ -0,0 +1,25 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Append-only JSON lines record of operator actions
+class AuditLog {
+    constructor({ file }) {
+        this.file = file;
+    }
+
+    async record(entry) {
+        const line = { timestamp: new Date().toISOString(), ...entry };
+        logger.info('audit', line);
+
+        try {
+            await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+            await fs.promises.appendFile(this.file, `${JSON.stringify(line)}\n`);
+        } catch (error) {
+            logger.error('Failed to write audit log', { error });
+        }
+        return line;
+    }
+}
+
+module.exports = { AuditLog };
@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const { logger } = require('./logger');
+
+const ROLES = ['viewer', 'operator', 'admin'];
+const SESSION_COOKIE = 'dockerweb_session';
+
+const hasRole = (user, role) => Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+const safeEqual = (expected, provided) => {
+    const a = Buffer.from(expected);
+    const b = Buffer.from(provided);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Password hashes are stored as scrypt$<salt>$<hash>, both base64
+const hashPassword = (password, salt = crypto.randomBytes(16)) => {
+    const hash = crypto.scryptSync(password, salt, 64);
+    return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+};
+
+const verifyPassword = (password, stored) => {
+    const [scheme, salt, hash] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const candidate = crypto.scryptSync(password, Buffer.from(salt, 'base64'), 64).toString('base64');
+    return safeEqual(hash, candidate);
+};
+
+// Only the named cookie is decoded; a malformed value counts as absent rather than throwing
+const readCookie = (header = '', name) => {
+    const prefix = `${name}=`;
+    const part = header.split(';').map(item => item.trim()).find(item => item.startsWith(prefix));
+    if (!part) return null;
+    try {
+        return decodeURIComponent(part.slice(prefix.length));
+    } catch (error) {
+        return null;
+    }
+};
+
+const validateRole = (role, source) => {
+    if (!ROLES.includes(role)) throw new Error(`${source}: unknown role "${role}"`);
+    return role;
+};
+
+// Users and API keys from AUTH_USERS_FILE ({ users: [], apiKeys: [] }) and
+// API_KEYS ("name:key:role,..."); CONTAINER_ACTIONS_TOKEN stays valid as an operator key.
+const loadCredentials = ({ usersFile, apiKeys, actionsToken } = {}) => {
+    const credentials = { users: [], apiKeys: [] };
+
+    if (usersFile) {
+        const data = JSON.parse(fs.readFileSync(usersFile, 'utf8'));
+        (data.users || []).forEach(user => credentials.users.push({
+            username: user.username,
+            passwordHash: user.passwordHash,
+            role: validateRole(user.role, `user ${user.username}`)
+        }));
+        (data.apiKeys || []).forEach(key => credentials.apiKeys.push({
+            name: key.name,
+            key: key.key,
+            role: validateRole(key.role, `API key ${key.name}`)
+        }));
+    }
+
+    (apiKeys || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+        const [name, key, role] = entry.split(':');
+        if (!name || !key || !role) throw new Error(`API_KEYS entry "${name}" must be name:key:role`);
+        credentials.apiKeys.push({ name, key, role: validateRole(role, `API key ${name}`) });
+    });
+
+    if (actionsToken) {
+        credentials.apiKeys.push({ name: 'actions-token', key: actionsToken, role: 'operator' });
+    }
+
+    return credentials;
+};
+
+class Authenticator {
+    constructor({ credentials, secret, sessionTtl = '8h', anonymousRole = null }) {
+        this.credentials = credentials;
+        this.sessionTtl = sessionTtl;
+        this.anonymousRole = anonymousRole ? validateRole(anonymousRole, 'AUTH_ANONYMOUS_ROLE') : null;
+
+        if (!secret) {
+            logger.warn('JWT_SECRET is not set; sessions will not survive a restart');
+        }
+        this.secret = secret || crypto.randomBytes(32).toString('hex');
+        this.dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+    }
+
+    login(username, password) {
+        const user = this.credentials.users.find(u => u.username === username);
+        // Hash even for unknown users so timing does not reveal which names exist
+        const valid = verifyPassword(password || '', user ? user.passwordHash : this.dummyHash);
+        if (!user || !valid) return null;
+
+        const token = jwt.sign({ role: user.role }, this.secret, {
+            subject: user.username,
+            expiresIn: this.sessionTtl
+        });
+        return { token, user: { name: user.username, role: user.role, via: 'session' } };
+    }
+
+    verifyApiKey(provided) {
+        const match = this.credentials.apiKeys.find(k => safeEqual(k.key, provided));
+        return match ? { name: match.name, role: match.role, via: 'api-key' } : null;
+    }
+
+    verifySession(token) {
+        try {
+            const payload = jwt.verify(token, this.secret);
+            return { name: payload.sub, role: payload.role, via: 'session' };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Identify the caller from a bearer token (session JWT or API key), X-API-Key or the session cookie
+    identify(headers) {
+        const [scheme, bearer] = (headers.authorization || '').split(' ');
+        if (scheme === 'Bearer' && bearer) {
+            return this.verifySession(bearer) || this.verifyApiKey(bearer);
+        }
+        if (headers['x-api-key']) {
+            return this.verifyApiKey(headers['x-api-key']);
+        }
+
+        const cookie = readCookie(headers.cookie, SESSION_COOKIE);
+        if (cookie) return this.verifySession(cookie);
+
+        return this.anonymousRole ? { name: 'anonymous', role: this.anonymousRole, via: 'anonymous' } : null;
+    }
+
+    middleware() {
+        return (req, res, next) => {
+            req.user = this.identify(req.headers);
+            next();
+        };
+    }
+}
+
+// 401 without credentials, 403 when the caller's role is too low
+const requireRole = (role) => (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({
+            error: 'Unauthorized',
+            message: 'Authentication is required',
+            timestamp: new Date().toISOString()
+        });
+    }
+    if (!hasRole(req.user, role)) {
+        return res.status(403).json({
+            error: 'Forbidden',
+            message: `This endpoint requires the ${role} role`,
+            timestamp: new Date().toISOString()
+        });
+    }
+    next();
+};
+
+module.exports = {
+    Authenticator,
+    ROLES,
+    SESSION_COOKIE,
+    hasRole,
+    hashPassword,
+    verifyPassword,
+    loadCredentials,
+    requireRole
+};
@@ -0,0 +1,60 @@
+// Read-through cache with a TTL per source ("containers", "status", ...). Loads are
+// single-flight: while one is in flight, identical lookups wait for it instead of
+// starting their own. Failed loads are never cached; a TTL of 0 only de-duplicates.
+class Cache {
+    constructor({ ttls = {}, onLookup = () => {} } = {}) {
+        this.ttls = ttls;
+        // Called with (source, 'hit' | 'miss' | 'coalesced') for every lookup
+        this.onLookup = onLookup;
+        this.sources = new Map();
+    }
+
+    source(name) {
+        if (!this.sources.has(name)) this.sources.set(name, { entries: new Map(), pending: new Map() });
+        return this.sources.get(name);
+    }
+
+    get(name, key, load) {
+        const source = this.source(name);
+        const entry = source.entries.get(key);
+        if (entry && entry.expiresAt > Date.now()) {
+            this.onLookup(name, 'hit');
+            return Promise.resolve(entry.value);
+        }
+        if (source.pending.has(key)) {
+            this.onLookup(name, 'coalesced');
+            return source.pending.get(key);
+        }
+
+        this.onLookup(name, 'miss');
+        const ttl = this.ttls[name] || 0;
+        const pending = Promise.resolve()
+            .then(load)
+            .then((value) => {
+                if (ttl > 0) {
+                    this.prune(source);
+                    source.entries.set(key, { value, expiresAt: Date.now() + ttl });
+                }
+                return value;
+            })
+            .finally(() => source.pending.delete(key));
+        source.pending.set(key, pending);
+        return pending;
+    }
+
+    // Drops everything cached for the sources. Loads already in flight finish for their
+    // own callers but are no longer shared or stored, so the next lookup fetches afresh.
+    invalidate(...names) {
+        names.forEach(name => this.sources.delete(name));
+    }
+
+    // Expired entries (e.g. stats of removed containers) are dropped whenever a source stores a new one
+    prune(source) {
+        const now = Date.now();
+        source.entries.forEach((entry, key) => {
+            if (entry.expiresAt <= now) source.entries.delete(key);
+        });
+    }
+}
+
+module.exports = { Cache };
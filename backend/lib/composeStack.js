@@ -0,0 +1,216 @@
+const fs = require('fs');
+const YAML = require('yaml');
+
+const PROJECT_LABEL = 'com.docker.compose.project';
+const SERVICE_LABEL = 'com.docker.compose.service';
+
+// ${VAR}, ${VAR:-default} and ${VAR-default}; "$$" is a literal dollar sign
+const interpolate = (text, env = process.env) => text.replace(/\$\$|\$\{(\w+)(?:(:?)-([^}]*))?\}/g, (match, name, colon, fallback) => {
+    if (match === '$$') return '$';
+    const value = env[name];
+    if (fallback === undefined) return value || '';
+    return (colon ? value : value !== undefined) ? value : fallback;
+});
+
+// Short syntax ("[ip:][published:]target[/protocol]") or the long object form
+const parsePort = (entry) => {
+    if (typeof entry === 'object') {
+        return {
+            hostIp: entry.host_ip || null,
+            published: entry.published ? String(entry.published) : null,
+            target: String(entry.target),
+            protocol: entry.protocol || 'tcp'
+        };
+    }
+
+    const [mapping, protocol = 'tcp'] = String(entry).split('/');
+    const parts = mapping.split(':');
+    const target = parts.pop();
+    const published = parts.pop() || null;
+    return { hostIp: parts.pop() || null, published, target, protocol };
+};
+
+// depends_on is either a list of names or a map of name -> { condition }
+const parseDependsOn = (value) => {
+    if (!value) return [];
+    if (Array.isArray(value)) return value.map(service => ({ service, condition: 'service_started' }));
+    return Object.entries(value).map(([service, options]) => ({
+        service,
+        condition: (options && options.condition) || 'service_started'
+    }));
+};
+
+const parseNetworks = (value) => {
+    if (!value) return ['default'];
+    return Array.isArray(value) ? value : Object.keys(value);
+};
+
+// The parts of a compose file the stack view compares against running containers
+const parseComposeFile = (text, env) => {
+    const document = YAML.parse(interpolate(text, env)) || {};
+    const services = Object.entries(document.services || {}).map(([name, service]) => {
+        const definition = service || {};
+        return {
+            name,
+            image: definition.image || null,
+            build: Boolean(definition.build),
+            containerName: definition.container_name || null,
+            dependsOn: parseDependsOn(definition.depends_on),
+            ports: (definition.ports || []).map(parsePort),
+            expose: (definition.expose || []).map(String),
+            networks: parseNetworks(definition.networks)
+        };
+    });
+
+    return {
+        name: document.name || null,
+        services,
+        networks: [...new Set(['default', ...Object.keys(document.networks || {})])]
+    };
+};
+
+// Services in start order (dependencies first); services caught in a cycle are reported separately
+const startOrder = (services) => {
+    const order = [];
+    const remaining = new Map(services.map(service => [service.name, service.dependsOn.map(dep => dep.service)]));
+
+    while (remaining.size) {
+        const ready = [...remaining.keys()].filter(name =>
+            remaining.get(name).every(dep => !remaining.has(dep)));
+        if (!ready.length) break;
+        ready.forEach(name => remaining.delete(name));
+        order.push(...ready);
+    }
+    return { order, cycles: [...remaining.keys()] };
+};
+
+const describeContainer = (container, project) => ({
+    id: container.id,
+    name: container.name,
+    image: container.image,
+    state: container.state,
+    status: container.status,
+    health: container.health,
+    ports: container.ports,
+    // Compose prefixes network names with the project name
+    networks: container.networks.map(network => (project && network.startsWith(`${project}_`) ? network.slice(project.length + 1) : network))
+});
+
+const serviceStatus = (containers) => {
+    if (!containers.length) return 'missing';
+    const running = containers.filter(container => container.state === 'running').length;
+    if (running === containers.length) return 'running';
+    return running ? 'partial' : 'stopped';
+};
+
+// Compares the services declared in docker-compose.yaml with the containers Docker
+// reports for the compose project, using the labels compose puts on every container.
+class ComposeStack {
+    constructor({ docker, composeFile = null, project = null }) {
+        this.docker = docker;
+        this.composeFile = composeFile;
+        this.project = project;
+    }
+
+    async readComposeFile() {
+        if (!this.composeFile) return { declared: null, error: null };
+        try {
+            return { declared: parseComposeFile(await fs.promises.readFile(this.composeFile, 'utf8')), error: null };
+        } catch (error) {
+            return { declared: null, error: error.code === 'ENOENT' ? `${this.composeFile} not found` : error.message };
+        }
+    }
+
+    // Configured name, then the file's `name:`, then the project most of the declared services run under
+    resolveProject(declared, containers) {
+        if (this.project) return this.project;
+        if (declared && declared.name) return declared.name;
+
+        const names = new Set(declared ? declared.services.map(service => service.name) : []);
+        const votes = new Map();
+        containers.forEach(container => {
+            const project = container.labels[PROJECT_LABEL];
+            if (!project || (names.size && !names.has(container.labels[SERVICE_LABEL]))) return;
+            votes.set(project, (votes.get(project) || 0) + 1);
+        });
+        const [winner] = [...votes.entries()].sort((a, b) => b[1] - a[1]);
+        return winner ? winner[0] : null;
+    }
+
+    async getProject() {
+        const [{ declared }, containers] = await Promise.all([
+            this.readComposeFile(),
+            this.docker.listContainers({ all: true })
+        ]);
+        return this.resolveProject(declared, containers);
+    }
+
+    // Container lookup for actions, logs and stats: other projects on the same host are out of reach
+    async findContainer(target) {
+        return this.docker.findContainer(target, { project: await this.getProject() });
+    }
+
+    async getStack() {
+        const [{ declared, error }, containers] = await Promise.all([
+            this.readComposeFile(),
+            this.docker.listContainers({ all: true })
+        ]);
+        const project = this.resolveProject(declared, containers);
+
+        const inProject = containers.filter(container => project && container.labels[PROJECT_LABEL] === project);
+        const byService = new Map();
+        inProject.forEach(container => {
+            const service = container.labels[SERVICE_LABEL];
+            byService.set(service, [...(byService.get(service) || []), describeContainer(container, project)]);
+        });
+
+        const declaredServices = declared ? declared.services : [];
+        const declaredNames = new Set(declaredServices.map(service => service.name));
+        const running = (name) => (byService.get(name) || []).some(container => container.state === 'running');
+
+        const services = [
+            ...declaredServices.map(service => ({ ...service, declared: true })),
+            ...[...byService.keys()].filter(name => !declaredNames.has(name)).sort().map(name => ({ name, declared: false }))
+        ].map(service => {
+            const serviceContainers = byService.get(service.name) || [];
+            return {
+                ...service,
+                status: serviceStatus(serviceContainers),
+                containers: serviceContainers,
+                unmetDependencies: (service.dependsOn || []).map(dep => dep.service).filter(name => !running(name))
+            };
+        });
+
+        const networks = new Map();
+        services.forEach(service => {
+            const memberships = new Set([...(service.networks || []), ...service.containers.flatMap(container => container.networks)]);
+            memberships.forEach(network => networks.set(network, [...(networks.get(network) || []), service.name]));
+        });
+
+        return {
+            project,
+            composeFile: this.composeFile,
+            composeFileError: error,
+            services,
+            missing: services.filter(service => service.declared && service.status === 'missing').map(service => service.name),
+            extra: services.filter(service => !service.declared).map(service => service.name),
+            dependencies: {
+                edges: declaredServices.flatMap(service => service.dependsOn.map(dep => ({ from: service.name, to: dep.service, condition: dep.condition }))),
+                ...startOrder(declaredServices)
+            },
+            networks: [...networks.entries()].map(([name, members]) => ({ name, services: members })),
+            // Everything else on the host, grouped by compose project (null for plain containers)
+            otherContainers: containers
+                .filter(container => !inProject.includes(container))
+                .map(container => ({
+                    id: container.id,
+                    name: container.name,
+                    project: container.labels[PROJECT_LABEL] || null,
+                    service: container.labels[SERVICE_LABEL] || null,
+                    state: container.state
+                }))
+        };
+    }
+}
+
+module.exports = { ComposeStack, parseComposeFile, PROJECT_LABEL, SERVICE_LABEL };
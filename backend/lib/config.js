@@ -0,0 +1,298 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { parseDuration } = require('./duration');
+const { version } = require('../package.json');
+
+class ConfigError extends Error {
+    constructor(errors) {
+        super(`Invalid configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+const RATE_LIMIT = /^\d+\/\d+(ms|s|m|h|d)$/;
+
+// Leaves describe one setting: its type, default, environment variable and
+// whether it is a secret (redacted from /api/config).
+const SCHEMA = {
+    server: {
+        port: { type: 'number', default: 3000, env: 'PORT', min: 1, max: 65535 },
+        version: { type: 'string', default: version, env: 'APP_VERSION' },
+        trustProxy: { type: 'string', default: 'loopback, uniquelocal', env: 'TRUST_PROXY' },
+        environment: { type: 'string', default: 'production', env: 'NODE_ENV' }
+    },
+    shutdown: {
+        timeout: { type: 'duration', default: 10000, env: 'SHUTDOWN_TIMEOUT' },
+        drainDelay: { type: 'duration', default: 0, env: 'SHUTDOWN_DRAIN_DELAY' }
+    },
+    sampler: {
+        interval: { type: 'duration', default: 5000, env: 'SAMPLE_INTERVAL_MS' },
+        diskMount: { type: 'string', default: '/', env: 'DISK_MOUNT' }
+    },
+    health: {
+        thresholds: {
+            cpu: { type: 'number', default: 80, env: 'HEALTH_CPU_THRESHOLD', min: 0, max: 100 },
+            memory: { type: 'number', default: 85, env: 'HEALTH_MEMORY_THRESHOLD', min: 0, max: 100 },
+            disk: { type: 'number', default: 90, env: 'HEALTH_DISK_THRESHOLD', min: 0, max: 100 }
+        }
+    },
+    // Dependency checks aggregated by /health; the TLS check is added when certificates are configured
+    healthChecks: {
+        timeout: { type: 'duration', default: 3000, env: 'HEALTH_CHECK_TIMEOUT' },
+        cacheTtl: { type: 'duration', default: 10000, env: 'HEALTH_CHECK_CACHE_TTL' },
+        critical: { type: 'list', default: ['frontend', 'docker', 'disk', 'resources'], env: 'HEALTH_CRITICAL_CHECKS' },
+        prometheusAddress: { type: 'string', default: 'prometheus:9090', env: 'HEALTH_PROMETHEUS_ADDRESS' },
+        grafanaAddress: { type: 'string', default: 'grafana:3000', env: 'HEALTH_GRAFANA_ADDRESS' }
+    },
+    // Certificates behind the SSL card: PEM files (leaf first) and/or host:port handshakes
+    tls: {
+        files: { type: 'list', default: [], env: 'TLS_CERT_FILES' },
+        hosts: { type: 'list', default: [], env: 'TLS_CHECK_HOSTS' },
+        caFiles: { type: 'list', default: [], env: 'TLS_CA_FILES' },
+        warningDays: { type: 'number', default: 30, env: 'TLS_WARNING_DAYS', min: 0 },
+        criticalDays: { type: 'number', default: 7, env: 'TLS_CRITICAL_DAYS', min: 0 },
+        cacheTtl: { type: 'duration', default: 3600000, env: 'TLS_CACHE_TTL' },
+        timeout: { type: 'duration', default: 5000, env: 'TLS_TIMEOUT' }
+    },
+    docker: {
+        host: { type: 'string', default: null, env: 'DOCKER_HOST' },
+        timeout: { type: 'duration', default: 5000, env: 'DOCKER_TIMEOUT_MS' }
+    },
+    containers: {
+        // The backend's own "app" service is left out so the dashboard can't stop or delete itself
+        allowedServices: { type: 'list', default: ['nginx', 'frontend'], env: 'ALLOWED_SERVICES' },
+        stopTimeout: { type: 'number', default: 10, env: 'CONTAINER_STOP_TIMEOUT', min: 0 },
+        maxStopTimeout: { type: 'number', default: 120, env: 'CONTAINER_MAX_STOP_TIMEOUT', min: 0 }
+    },
+    // Compose file and project compared against running containers by /api/stack; the project also
+    // bounds which containers actions, logs and per-container stats can reach
+    stack: {
+        composeFile: { type: 'string', default: path.join(__dirname, '..', '..', 'docker-compose.yaml'), env: 'STACK_COMPOSE_FILE' },
+        project: { type: 'string', default: null, env: 'STACK_PROJECT' }
+    },
+    // Prometheus HTTP API (cAdvisor metrics) behind /api/insights
+    prometheus: {
+        url: { type: 'string', default: 'http://prometheus:9090', env: 'PROMETHEUS_URL', pattern: /^https?:\/\// },
+        timeout: { type: 'duration', default: 5000, env: 'PROMETHEUS_TIMEOUT' }
+    },
+    insights: {
+        limit: { type: 'number', default: 5, env: 'INSIGHTS_LIMIT', min: 1, max: 50 },
+        rateWindow: { type: 'duration', default: 300000, env: 'INSIGHTS_RATE_WINDOW' },
+        restartThreshold: { type: 'number', default: 3, env: 'INSIGHTS_RESTART_THRESHOLD', min: 1 },
+        maxWindow: { type: 'duration', default: 604800000, env: 'INSIGHTS_MAX_WINDOW' }
+    },
+    uptime: {
+        dataFile: { type: 'string', default: path.join(__dirname, '..', 'data', 'uptime.log'), env: 'UPTIME_DATA_FILE' },
+        interval: { type: 'duration', default: 60000, env: 'UPTIME_CHECK_INTERVAL_MS' },
+        nginxUrl: { type: 'string', default: 'http://nginx', env: 'NGINX_URL' },
+        frontendUrl: { type: 'string', default: 'http://frontend', env: 'FRONTEND_URL' }
+    },
+    audit: {
+        file: { type: 'string', default: path.join(__dirname, '..', 'data', 'audit.log'), env: 'AUDIT_LOG_FILE' }
+    },
+    auth: {
+        usersFile: { type: 'string', default: null, env: 'AUTH_USERS_FILE' },
+        apiKeys: { type: 'string', default: null, env: 'API_KEYS', secret: true },
+        actionsToken: { type: 'string', default: null, env: 'CONTAINER_ACTIONS_TOKEN', secret: true },
+        jwtSecret: { type: 'string', default: null, env: 'JWT_SECRET', secret: true },
+        sessionTtl: { type: 'string', default: '8h', env: 'AUTH_SESSION_TTL' },
+        // "none" lets a non-empty value (e.g. over a compose default) turn anonymous access off
+        anonymousRole: { type: 'enum', values: ['none', 'viewer', 'operator', 'admin'], default: null, env: 'AUTH_ANONYMOUS_ROLE' }
+    },
+    cors: {
+        origins: { type: 'list', default: [], env: 'CORS_ORIGINS' }
+    },
+    rateLimits: {
+        api: { type: 'string', default: '300/1m', env: 'RATE_LIMIT_API', pattern: RATE_LIMIT },
+        docker: { type: 'string', default: '60/1m', env: 'RATE_LIMIT_DOCKER', pattern: RATE_LIMIT },
+        actions: { type: 'string', default: '10/1m', env: 'RATE_LIMIT_ACTIONS', pattern: RATE_LIMIT },
+        login: { type: 'string', default: '10/5m', env: 'RATE_LIMIT_LOGIN', pattern: RATE_LIMIT }
+    },
+    // Downsampled request and resource history behind /api/metrics/history
+    history: {
+        dir: { type: 'string', default: path.join(__dirname, '..', 'data', 'history'), env: 'HISTORY_DIR' },
+        secondRetention: { type: 'duration', default: 3600000, env: 'HISTORY_SECOND_RETENTION' },
+        minuteRetention: { type: 'duration', default: 7 * 86400000, env: 'HISTORY_MINUTE_RETENTION' },
+        hourRetention: { type: 'duration', default: 90 * 86400000, env: 'HISTORY_HOUR_RETENTION' },
+        containerInterval: { type: 'duration', default: 15000, env: 'HISTORY_CONTAINER_INTERVAL' },
+        maxPoints: { type: 'number', default: 2000, env: 'HISTORY_MAX_POINTS', min: 1 }
+    },
+    events: {
+        interval: { type: 'duration', default: 5000, env: 'EVENTS_INTERVAL_MS' }
+    },
+    // How long each expensive read is reused; 0 disables caching for that source but
+    // concurrent identical fetches still share one request
+    cache: {
+        containers: { type: 'duration', default: 2000, env: 'CACHE_CONTAINERS_TTL' },
+        containerStats: { type: 'duration', default: 5000, env: 'CACHE_CONTAINER_STATS_TTL' },
+        status: { type: 'duration', default: 2000, env: 'CACHE_STATUS_TTL' },
+        metrics: { type: 'duration', default: 2000, env: 'CACHE_METRICS_TTL' },
+        insights: { type: 'duration', default: 15000, env: 'CACHE_INSIGHTS_TTL' }
+    },
+    // openapi.yaml checks: request validation rejects bad query/body parameters with a 400;
+    // response validation is the test mode ("warn" logs mismatches, "strict" turns them into 500s)
+    openapi: {
+        requestValidation: { type: 'boolean', default: true, env: 'OPENAPI_REQUEST_VALIDATION' },
+        responseValidation: { type: 'enum', values: ['off', 'warn', 'strict'], default: 'off', env: 'OPENAPI_RESPONSE_VALIDATION' }
+    },
+    // /api/v1 page sizes, and the dates announced on the deprecated unversioned /api/* aliases
+    api: {
+        pageSize: { type: 'number', default: 50, env: 'API_PAGE_SIZE', min: 1 },
+        maxPageSize: { type: 'number', default: 500, env: 'API_MAX_PAGE_SIZE', min: 1 },
+        legacyDeprecatedAt: { type: 'string', default: '2026-10-19', env: 'API_LEGACY_DEPRECATED_AT', pattern: /^\d{4}-\d{2}-\d{2}/ },
+        legacySunset: { type: 'string', default: null, env: 'API_LEGACY_SUNSET', pattern: /^\d{4}-\d{2}-\d{2}/ }
+    },
+    alerts: {
+        rulesFile: { type: 'string', default: null, env: 'ALERT_RULES_FILE' },
+        evalInterval: { type: 'duration', default: 15000, env: 'ALERT_EVAL_INTERVAL_MS' },
+        repeatInterval: { type: 'duration', default: 0, env: 'ALERT_REPEAT_INTERVAL' },
+        webhookUrl: { type: 'string', default: null, env: 'ALERT_WEBHOOK_URL', secret: true },
+        slackWebhookUrl: { type: 'string', default: null, env: 'ALERT_SLACK_WEBHOOK_URL', secret: true },
+        slackChannel: { type: 'string', default: null, env: 'ALERT_SLACK_CHANNEL' },
+        smtpUrl: { type: 'string', default: null, env: 'ALERT_SMTP_URL', secret: true },
+        emailFrom: { type: 'string', default: 'alerts@dockerweb.local', env: 'ALERT_EMAIL_FROM' },
+        emailTo: { type: 'string', default: null, env: 'ALERT_EMAIL_TO' }
+    },
+    logging: {
+        level: { type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info', env: 'LOG_LEVEL' },
+        output: { type: 'enum', values: ['stdout', 'file'], default: 'stdout', env: 'LOG_OUTPUT' },
+        file: { type: 'string', default: path.join(__dirname, '..', 'data', 'logs', 'app.log'), env: 'LOG_FILE' },
+        maxSize: { type: 'number', default: 10 * 1024 * 1024, env: 'LOG_MAX_SIZE', min: 1024 },
+        maxFiles: { type: 'number', default: 5, env: 'LOG_MAX_FILES', min: 1 }
+    },
+    // Served to the dashboard through /api/config
+    frontend: {
+        healthCheckInterval: { type: 'duration', default: 30000, env: 'FRONTEND_HEALTH_CHECK_INTERVAL' },
+        metricsUpdateInterval: { type: 'duration', default: 5000, env: 'FRONTEND_METRICS_INTERVAL' },
+        staleAfter: { type: 'duration', default: 15000, env: 'FRONTEND_STALE_AFTER' },
+        eventTransport: { type: 'enum', values: ['sse', 'websocket'], default: 'sse', env: 'FRONTEND_EVENT_TRANSPORT' },
+        features: {
+            containerActions: { type: 'boolean', default: true, env: 'FEATURE_CONTAINER_ACTIONS' },
+            logViewer: { type: 'boolean', default: true, env: 'FEATURE_LOG_VIEWER' },
+            liveEvents: { type: 'boolean', default: true, env: 'FEATURE_LIVE_EVENTS' }
+        }
+    }
+};
+
+const isLeaf = (node) => typeof node.type === 'string' && 'default' in node;
+
+const coerce = (spec, raw, source) => {
+    if (raw === null || raw === undefined) return { value: null };
+    const fromEnv = typeof raw === 'string';
+
+    switch (spec.type) {
+    case 'number': {
+        const value = Number(raw);
+        if (raw === '' || Number.isNaN(value)) return { error: `${source} must be a number, got "${raw}"` };
+        if (spec.min !== undefined && value < spec.min) return { error: `${source} must be >= ${spec.min}` };
+        if (spec.max !== undefined && value > spec.max) return { error: `${source} must be <= ${spec.max}` };
+        return { value };
+    }
+    case 'boolean':
+        if (typeof raw === 'boolean') return { value: raw };
+        if (['true', '1', 'yes'].includes(raw)) return { value: true };
+        if (['false', '0', 'no'].includes(raw)) return { value: false };
+        return { error: `${source} must be a boolean, got "${raw}"` };
+    case 'duration':
+        try {
+            return { value: fromEnv && /^\d+$/.test(raw) ? Number(raw) : parseDuration(raw) };
+        } catch (error) {
+            return { error: `${source} must be a duration in ms or like "30s", got "${raw}"` };
+        }
+    case 'list':
+        if (Array.isArray(raw)) return { value: raw.map(String) };
+        return { value: String(raw).split(',').map(item => item.trim()).filter(Boolean) };
+    case 'enum':
+        if (raw === '') return { value: null };
+        if (!spec.values.includes(raw)) return { error: `${source} must be one of ${spec.values.join(', ')}, got "${raw}"` };
+        return { value: raw };
+    default: {
+        const value = String(raw);
+        if (fromEnv && value === '') return { value: null };
+        if (spec.pattern && !spec.pattern.test(value)) return { error: `${source} has an invalid format: "${value}"` };
+        return { value };
+    }
+    }
+};
+
+const readConfigFile = (file) => {
+    const text = fs.readFileSync(file, 'utf8');
+    const data = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+    return data || {};
+};
+
+// Resolve the schema against a config file object and the environment.
+// Precedence: defaults < file < environment.
+const resolve = (schema, fileValues, env, errors, prefix = '') => {
+    const result = {};
+
+    Object.entries(schema).forEach(([key, spec]) => {
+        const keyPath = prefix ? `${prefix}.${key}` : key;
+        const fileValue = fileValues ? fileValues[key] : undefined;
+
+        if (!isLeaf(spec)) {
+            if (fileValue !== undefined && (typeof fileValue !== 'object' || fileValue === null || Array.isArray(fileValue))) {
+                errors.push(`${keyPath} must be an object in the config file`);
+            }
+            result[key] = resolve(spec, fileValue, env, errors, keyPath);
+            return;
+        }
+
+        let value = spec.default;
+        if (fileValue !== undefined) {
+            const parsed = coerce(spec, fileValue, `${keyPath} (config file)`);
+            if (parsed.error) errors.push(parsed.error);
+            else value = parsed.value;
+        }
+        if (spec.env && env[spec.env] !== undefined) {
+            const parsed = coerce(spec, env[spec.env], `${spec.env} (environment)`);
+            if (parsed.error) errors.push(parsed.error);
+            else value = parsed.value;
+        }
+        result[key] = value;
+    });
+
+    if (fileValues && typeof fileValues === 'object') {
+        Object.keys(fileValues)
+            .filter(key => !(key in schema))
+            .forEach(key => errors.push(`Unknown setting "${prefix ? `${prefix}.${key}` : key}" in config file`));
+    }
+
+    return result;
+};
+
+// CONFIG_FILE, or config.yaml / config.yml / config.json next to server.js when present
+const findConfigFile = (env) => {
+    if (env.CONFIG_FILE) return env.CONFIG_FILE;
+    return ['config.yaml', 'config.yml', 'config.json']
+        .map(name => path.join(__dirname, '..', name))
+        .find(file => fs.existsSync(file)) || null;
+};
+
+const loadConfig = (env = process.env) => {
+    const errors = [];
+    const file = findConfigFile(env);
+    let fileValues = {};
+
+    if (file) {
+        try {
+            fileValues = readConfigFile(file);
+        } catch (error) {
+            throw new ConfigError([`Cannot read config file ${file}: ${error.message}`]);
+        }
+    }
+
+    const config = resolve(SCHEMA, fileValues, env, errors);
+    if (errors.length) throw new ConfigError(errors);
+
+    return Object.defineProperty(config, 'source', { value: file, enumerable: false });
+};
+
+const redact = (config, schema = SCHEMA) => Object.fromEntries(Object.entries(schema).map(([key, spec]) => {
+    if (!isLeaf(spec)) return [key, redact(config[key], spec)];
+    return [key, spec.secret && config[key] ? '[REDACTED]' : config[key]];
+}));
+
+module.exports = { loadConfig, redact, ConfigError, SCHEMA };
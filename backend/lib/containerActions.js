@@ -0,0 +1,72 @@
+const ACTIONS = ['start', 'stop', 'restart', 'remove'];
+const COMPOSE_SERVICE_LABEL = 'com.docker.compose.service';
+// Docker refuses to remove these without force, which kills the container first
+const ACTIVE_STATES = ['running', 'paused', 'restarting'];
+
+class ContainerActionError extends Error {
+    constructor(message, statusCode) {
+        super(message);
+        this.name = 'ContainerActionError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Start/stop/restart/remove containers belonging to allow-listed services of
+// this stack's compose project, writing an audit entry for every attempt.
+class ContainerActions {
+    constructor({ docker, stack, auditLog, allowedServices = [], stopTimeout = 10, maxStopTimeout = 120 }) {
+        this.docker = docker;
+        this.stack = stack;
+        this.auditLog = auditLog;
+        this.allowedServices = allowedServices;
+        this.stopTimeout = stopTimeout;
+        this.maxStopTimeout = maxStopTimeout;
+    }
+
+    // `timeout` (stop/restart grace period in seconds) defaults to stopTimeout;
+    // `force` is required to remove a container that is still running
+    async perform(action, target, { actor, timeout, force = false } = {}) {
+        if (!ACTIONS.includes(action)) {
+            throw new ContainerActionError(`Unknown container action "${action}"`, 400);
+        }
+        if (timeout !== undefined && !(Number.isInteger(timeout) && timeout >= 0 && timeout <= this.maxStopTimeout)) {
+            throw new ContainerActionError(`"t" must be a whole number of seconds between 0 and ${this.maxStopTimeout}`, 400);
+        }
+
+        const started = Date.now();
+        const entry = { action, target, actor };
+
+        try {
+            const container = await this.stack.findContainer(target);
+            const service = container.labels[COMPOSE_SERVICE_LABEL] || null;
+            Object.assign(entry, { container: container.name, containerId: container.id, service });
+
+            if (!service || !this.allowedServices.includes(service)) {
+                throw new ContainerActionError(`Service "${service || container.name}" is not in the actions allow-list`, 403);
+            }
+
+            if (action === 'remove' && !force && ACTIVE_STATES.includes(container.state)) {
+                throw new ContainerActionError(`Container ${container.name} is ${container.state}; stop it first or remove with force`, 409);
+            }
+
+            const t = timeout !== undefined ? timeout : this.stopTimeout;
+            if (action === 'start') await this.docker.startContainer(container.id);
+            if (action === 'stop') await this.docker.stopContainer(container.id, { t });
+            if (action === 'restart') await this.docker.restartContainer(container.id, { t });
+            if (action === 'remove') await this.docker.removeContainer(container.id, { force });
+
+            await this.auditLog.record({ ...entry, outcome: 'success', durationMs: Date.now() - started });
+            return { action, container: container.name, id: container.id, service };
+        } catch (error) {
+            await this.auditLog.record({
+                ...entry,
+                outcome: 'failure',
+                error: error.message,
+                durationMs: Date.now() - started
+            });
+            throw error;
+        }
+    }
+}
+
+module.exports = { ContainerActions, ContainerActionError, ACTIONS };
@@ -0,0 +1,103 @@
+const round = (value) => Math.round(value * 100) / 100;
+
+// cAdvisor series carry the container name plus its labels as container_label_*
+const BY = 'name, container_label_com_docker_compose_service';
+const SELECTOR = '{name!=""}';
+
+const describe = (labels) => ({
+    name: labels.name,
+    service: labels.container_label_com_docker_compose_service || null
+});
+
+// Exact-match alternation for a PromQL regex; backslashes are doubled for the string literal
+const namePattern = (names) => names.map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\\\$&')).join('|');
+
+const finite = (series) => series.filter(({ value }) => Number.isFinite(value[1]));
+
+// Curated container views over cAdvisor metrics scraped by Prometheus: top CPU and
+// memory consumers, restarts within the window and a CPU trend for the top consumers.
+class ContainerInsights {
+    constructor({ prometheus, limit = 5, rateWindow = 5 * 60 * 1000, restartThreshold = 3, points = 60 }) {
+        this.prometheus = prometheus;
+        this.limit = limit;
+        this.rateWindow = rateWindow;
+        this.restartThreshold = restartThreshold;
+        this.points = points;
+    }
+
+    cpuExpr(selector = SELECTOR) {
+        return `sum by (${BY}) (rate(container_cpu_usage_seconds_total${selector}[${Math.round(this.rateWindow / 1000)}s])) * 100`;
+    }
+
+    async topCpu() {
+        const series = finite(await this.prometheus.query(`topk(${this.limit}, ${this.cpuExpr()})`));
+        return series
+            .map(({ labels, value }) => ({ ...describe(labels), cpuPercent: round(value[1]) }))
+            .sort((a, b) => b.cpuPercent - a.cpuPercent);
+    }
+
+    async topMemory() {
+        const [usage, limits] = await Promise.all([
+            this.prometheus.query(`topk(${this.limit}, sum by (${BY}) (container_memory_working_set_bytes${SELECTOR}))`),
+            this.prometheus.query(`sum by (name) (container_spec_memory_limit_bytes${SELECTOR})`)
+        ]);
+        const limitByName = new Map(finite(limits).map(({ labels, value }) => [labels.name, value[1]]));
+
+        return finite(usage)
+            .map(({ labels, value }) => {
+                // cAdvisor reports 0 for containers without a memory limit
+                const limit = limitByName.get(labels.name) || null;
+                return {
+                    ...describe(labels),
+                    usageBytes: value[1],
+                    limitBytes: limit,
+                    percent: limit ? round((value[1] / limit) * 100) : null
+                };
+            })
+            .sort((a, b) => b.usageBytes - a.usageBytes);
+    }
+
+    // A restart gives the container a new start time, so changes() counts restarts
+    async restarts(window) {
+        const series = finite(await this.prometheus.query(
+            `max by (${BY}) (changes(container_start_time_seconds${SELECTOR}[${Math.round(window / 1000)}s])) > 0`
+        ));
+        return series
+            .map(({ labels, value }) => ({
+                ...describe(labels),
+                restarts: value[1],
+                spike: value[1] >= this.restartThreshold
+            }))
+            .sort((a, b) => b.restarts - a.restarts);
+    }
+
+    async cpuHistory(names, window, now) {
+        if (!names.length) return [];
+
+        const series = await this.prometheus.queryRange(this.cpuExpr(`{name=~"${namePattern(names)}"}`), {
+            start: now - window,
+            end: now,
+            step: Math.max(Math.ceil(window / this.points), 1000)
+        });
+        return series.map(({ labels, values }) => ({
+            ...describe(labels),
+            points: values.map(([t, value]) => [t, Number.isFinite(value) ? round(value) : null])
+        }));
+    }
+
+    async getSummary({ window = 60 * 60 * 1000 } = {}) {
+        const now = Date.now();
+        const [cpu, memory, restarts] = await Promise.all([this.topCpu(), this.topMemory(), this.restarts(window)]);
+
+        return {
+            window,
+            cpu,
+            memory,
+            restarts,
+            restartSpikes: restarts.filter(entry => entry.spike).map(entry => entry.name),
+            cpuHistory: await this.cpuHistory(cpu.map(entry => entry.name), window, now)
+        };
+    }
+}
+
+module.exports = { ContainerInsights };
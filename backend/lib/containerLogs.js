@@ -0,0 +1,80 @@
+const STREAM_TYPES = { 0: 'stdin', 1: 'stdout', 2: 'stderr' };
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+// Docker's `since` is a unix timestamp; also accept ISO dates and durations like "15m"
+const parseSince = (value, now = Date.now()) => {
+    if (value === undefined || value === '') return undefined;
+    if (/^\d+(\.\d+)?$/.test(value)) return Number(value);
+
+    const duration = String(value).match(/^(\d+)([smhd])$/);
+    if (duration) {
+        return Math.floor(now / 1000) - Number(duration[1]) * DURATION_UNITS[duration[2]];
+    }
+
+    const parsed = Date.parse(value);
+    if (Number.isNaN(parsed)) {
+        throw new Error(`Invalid "since" value: ${value}`);
+    }
+    return Math.floor(parsed / 1000);
+};
+
+// Build a predicate from the `filter` query: a case-insensitive substring. User regexes are not
+// offered because a single backtracking pattern can stall the event loop every stream shares
+const createLineFilter = (filter) => {
+    if (!filter) return () => true;
+
+    const needle = filter.toLowerCase();
+    return line => line.toLowerCase().includes(needle);
+};
+
+// Lines carry an RFC 3339 timestamp prefix because logs are requested with timestamps=1
+const parseLine = (stream, raw) => {
+    const space = raw.indexOf(' ');
+    const timestamp = space > 0 ? raw.slice(0, space) : null;
+    const valid = timestamp && !Number.isNaN(Date.parse(timestamp));
+
+    return {
+        stream,
+        timestamp: valid ? timestamp : null,
+        message: valid ? raw.slice(space + 1) : raw
+    };
+};
+
+// Read a Docker logs response and emit one callback per line. Non-TTY containers
+// use the multiplexed format: an 8-byte header (stream type, payload size) per frame.
+const readLogLines = (source, { tty = false, onLine }) => {
+    let buffer = Buffer.alloc(0);
+    const partial = { stdout: '', stderr: '', stdin: '' };
+
+    const pushText = (stream, text) => {
+        const lines = (partial[stream] + text).split('\n');
+        partial[stream] = lines.pop();
+        lines.forEach(line => onLine(parseLine(stream, line.replace(/\r$/, ''))));
+    };
+
+    source.on('data', (chunk) => {
+        if (tty) {
+            pushText('stdout', chunk.toString('utf8'));
+            return;
+        }
+
+        buffer = Buffer.concat([buffer, chunk]);
+        while (buffer.length >= 8) {
+            const size = buffer.readUInt32BE(4);
+            if (buffer.length < 8 + size) break;
+
+            const stream = STREAM_TYPES[buffer[0]] || 'stdout';
+            pushText(stream, buffer.subarray(8, 8 + size).toString('utf8'));
+            buffer = buffer.subarray(8 + size);
+        }
+    });
+
+    source.on('end', () => {
+        Object.entries(partial).forEach(([stream, rest]) => {
+            if (rest) onLine(parseLine(stream, rest));
+        });
+    });
+};
+
+module.exports = { parseSince, createLineFilter, readLogLines };
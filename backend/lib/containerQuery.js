@@ -0,0 +1,34 @@
+const { paginate, parsePageQuery, QueryError } = require('./pagination');
+const { SERVICE_LABEL } = require('./composeStack');
+
+const STATES = ['created', 'running', 'paused', 'restarting', 'removing', 'exited', 'dead'];
+
+// "a,b" (or ?x=a&x=b) -> ['a', 'b']
+const parseList = (value) => (value === undefined ? [] : String(value).split(',').map(item => item.trim()).filter(Boolean));
+
+// ?state=running,exited&name=web&service=app,nginx plus ?limit=&cursor=
+const parseContainerQuery = (query, pageOptions) => {
+    const state = parseList(query.state);
+    const unknown = state.filter(value => !STATES.includes(value));
+    if (unknown.length) throw new QueryError(`Unknown state "${unknown[0]}", expected one of ${STATES.join(', ')}`);
+
+    return {
+        state,
+        name: query.name ? String(query.name).toLowerCase() : null,
+        service: parseList(query.service),
+        page: parsePageQuery(query, pageOptions)
+    };
+};
+
+// Filters (state and compose service exact, name substring), then one page ordered by name
+const queryContainers = (containers, { state, name, service, page }) => {
+    const matches = containers.filter(container =>
+        (!state.length || state.includes(container.state))
+        && (!name || container.name.toLowerCase().includes(name))
+        && (!service.length || service.includes(container.labels[SERVICE_LABEL])));
+    const { items, nextCursor } = paginate(matches, page, container => [container.name, container.id]);
+
+    return { containers: items, matches, nextCursor };
+};
+
+module.exports = { parseContainerQuery, queryContainers, STATES };
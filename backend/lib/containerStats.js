@@ -0,0 +1,55 @@
+const round = (value) => Math.round(value * 100) / 100;
+
+// CPU % the same way `docker stats` does: container delta over host delta, scaled by CPUs
+const calculateCpuPercent = (stats) => {
+    const cpu = stats.cpu_stats || {};
+    const precpu = stats.precpu_stats || {};
+    const cpuDelta = (cpu.cpu_usage?.total_usage || 0) - (precpu.cpu_usage?.total_usage || 0);
+    const systemDelta = (cpu.system_cpu_usage || 0) - (precpu.system_cpu_usage || 0);
+    const onlineCpus = cpu.online_cpus || cpu.cpu_usage?.percpu_usage?.length || 1;
+
+    if (cpuDelta <= 0 || systemDelta <= 0) return 0;
+    return round((cpuDelta / systemDelta) * onlineCpus * 100);
+};
+
+// Exclude page cache, matching the CLI (cgroup v2: inactive_file, v1: total_inactive_file)
+const calculateMemory = (stats) => {
+    const memory = stats.memory_stats || {};
+    const details = memory.stats || {};
+    const cache = details.inactive_file ?? details.total_inactive_file ?? 0;
+    const usage = Math.max((memory.usage || 0) - cache, 0);
+    const limit = memory.limit || 0;
+
+    return {
+        usage,
+        limit,
+        percent: limit > 0 ? round((usage / limit) * 100) : 0
+    };
+};
+
+const calculateNetwork = (stats) => Object.values(stats.networks || {}).reduce((acc, net) => {
+    acc.rxBytes += net.rx_bytes || 0;
+    acc.txBytes += net.tx_bytes || 0;
+    return acc;
+}, { rxBytes: 0, txBytes: 0 });
+
+const calculateBlockIo = (stats) => {
+    const entries = stats.blkio_stats?.io_service_bytes_recursive || [];
+    return entries.reduce((acc, entry) => {
+        const op = (entry.op || '').toLowerCase();
+        if (op === 'read') acc.readBytes += entry.value;
+        if (op === 'write') acc.writeBytes += entry.value;
+        return acc;
+    }, { readBytes: 0, writeBytes: 0 });
+};
+
+const summarizeStats = (stats) => ({
+    cpuPercent: calculateCpuPercent(stats),
+    memory: calculateMemory(stats),
+    network: calculateNetwork(stats),
+    blockIo: calculateBlockIo(stats),
+    pids: stats.pids_stats?.current || 0,
+    read: stats.read
+});
+
+module.exports = { summarizeStats, calculateCpuPercent, calculateMemory };
@@ -0,0 +1,237 @@
+const http = require('http');
+
+const DEFAULT_SOCKET = '/var/run/docker.sock';
+const API_VERSION = 'v1.41';
+
+class DockerError extends Error {
+    constructor(message, statusCode) {
+        super(message);
+        this.name = 'DockerError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Resolve DOCKER_HOST (unix:///path or tcp://host:port) into http.request options
+const parseDockerHost = (dockerHost) => {
+    if (!dockerHost) return { socketPath: DEFAULT_SOCKET };
+
+    if (dockerHost.startsWith('unix://')) {
+        return { socketPath: dockerHost.slice('unix://'.length) };
+    }
+
+    const url = new URL(dockerHost.replace(/^tcp:\/\//, 'http://'));
+    return { host: url.hostname, port: Number(url.port) || 2375 };
+};
+
+const parseHealth = (state) => {
+    if (state && state.Health) return state.Health.Status;
+    return 'none';
+};
+
+const normalizeContainer = (summary, details) => ({
+    id: summary.Id,
+    name: (summary.Names && summary.Names[0] || '').replace(/^\//, ''),
+    image: summary.Image,
+    state: summary.State,
+    status: summary.Status,
+    health: details ? parseHealth(details.State) : 'none',
+    restartCount: details ? details.RestartCount : 0,
+    tty: details ? Boolean(details.Config && details.Config.Tty) : false,
+    created: new Date(summary.Created * 1000).toISOString(),
+    ports: (summary.Ports || []).map(port => ({
+        ip: port.IP || null,
+        privatePort: port.PrivatePort,
+        publicPort: port.PublicPort || null,
+        type: port.Type
+    })),
+    networks: Object.keys((summary.NetworkSettings && summary.NetworkSettings.Networks) || {}),
+    labels: summary.Labels || {}
+});
+
+class DockerClient {
+    // `cache` (lib/cache.js) shares container lists and stats samples between callers
+    constructor({ host = process.env.DOCKER_HOST, timeout = 5000, cache = null } = {}) {
+        this.connection = parseDockerHost(host);
+        this.timeout = timeout;
+        this.cache = cache;
+    }
+
+    cached(source, key, load) {
+        return this.cache ? this.cache.get(source, key, load) : load();
+    }
+
+    // Whatever a lifecycle action did (even a failed one), cached container lists are stale now
+    changed(request) {
+        return request.finally(() => {
+            if (this.cache) this.cache.invalidate('containers');
+        });
+    }
+
+    request(method, path, { query, body, timeout = this.timeout } = {}) {
+        const search = query ? `?${new URLSearchParams(query)}` : '';
+        const payload = body === undefined ? null : JSON.stringify(body);
+
+        return new Promise((resolve, reject) => {
+            const req = http.request({
+                ...this.connection,
+                method,
+                path: `/${API_VERSION}${path}${search}`,
+                headers: payload
+                    ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) }
+                    : {},
+                timeout
+            }, (res) => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('error', error => reject(new DockerError(`Docker API response failed: ${error.message}`, 502)));
+                res.on('end', () => {
+                    const text = Buffer.concat(chunks).toString('utf8');
+                    const isJson = /json/.test(res.headers['content-type'] || '');
+                    let data = text || null;
+                    try {
+                        if (text && isJson) data = JSON.parse(text);
+                    } catch (error) {
+                        if (res.statusCode < 400) {
+                            return reject(new DockerError(`Docker API returned invalid JSON for ${method} ${path}`, 502));
+                        }
+                    }
+
+                    if (res.statusCode >= 400) {
+                        const message = data && data.message ? data.message : `Docker API responded ${res.statusCode}`;
+                        reject(new DockerError(message, res.statusCode));
+                    } else {
+                        resolve(data);
+                    }
+                });
+            });
+
+            req.on('timeout', () => req.destroy(new DockerError(`Docker API request timed out after ${timeout}ms`, 504)));
+            req.on('error', (error) => reject(error instanceof DockerError
+                ? error
+                : new DockerError(`Docker API unreachable: ${error.message}`, 503)));
+
+            if (payload) req.write(payload);
+            req.end();
+        });
+    }
+
+    // Open a streaming endpoint (logs, stats) and resolve with the raw response
+    stream(path, { query } = {}) {
+        const search = query ? `?${new URLSearchParams(query)}` : '';
+
+        return new Promise((resolve, reject) => {
+            const req = http.request({
+                ...this.connection,
+                method: 'GET',
+                path: `/${API_VERSION}${path}${search}`,
+                timeout: this.timeout
+            }, (res) => {
+                // Streams may legitimately stay idle; only the initial response is timed
+                req.setTimeout(0);
+
+                if (res.statusCode < 400) return resolve(res);
+
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => {
+                    let message = `Docker API responded ${res.statusCode}`;
+                    try {
+                        message = JSON.parse(Buffer.concat(chunks).toString('utf8')).message || message;
+                    } catch (error) {
+                        // keep the generic message
+                    }
+                    reject(new DockerError(message, res.statusCode));
+                });
+            });
+
+            req.on('timeout', () => req.destroy(new DockerError(`Docker API request timed out after ${this.timeout}ms`, 504)));
+            req.on('error', (error) => reject(error instanceof DockerError
+                ? error
+                : new DockerError(`Docker API unreachable: ${error.message}`, 503)));
+            req.end();
+        });
+    }
+
+    ping() {
+        return this.request('GET', '/_ping');
+    }
+
+    inspectContainer(id) {
+        return this.request('GET', `/containers/${encodeURIComponent(id)}/json`);
+    }
+
+    startContainer(id) {
+        return this.changed(this.request('POST', `/containers/${encodeURIComponent(id)}/start`));
+    }
+
+    // `t` is the grace period in seconds before Docker kills the container
+    stopContainer(id, { t = 10 } = {}) {
+        return this.changed(this.request('POST', `/containers/${encodeURIComponent(id)}/stop`, {
+            query: { t },
+            timeout: this.timeout + t * 1000
+        }));
+    }
+
+    restartContainer(id, { t = 10 } = {}) {
+        return this.changed(this.request('POST', `/containers/${encodeURIComponent(id)}/restart`, {
+            query: { t },
+            timeout: this.timeout + t * 1000
+        }));
+    }
+
+    removeContainer(id, { force = false } = {}) {
+        return this.changed(this.request('DELETE', `/containers/${encodeURIComponent(id)}`, { query: { force } }));
+    }
+
+    // Container summaries enriched with health status and restart count.
+    // One inspect per container makes this expensive, hence the cache.
+    listContainers({ all = false } = {}) {
+        return this.cached('containers', all ? 'all' : 'running', async () => {
+            const summaries = await this.request('GET', '/containers/json', { query: { all } });
+            if (!Array.isArray(summaries)) throw new DockerError('Docker API returned an unexpected container list', 502);
+            const details = await Promise.all(summaries.map(summary =>
+                this.inspectContainer(summary.Id).catch(() => null)
+            ));
+            return summaries.map((summary, i) => normalizeContainer(summary, details[i]));
+        });
+    }
+
+    // Accepts a container id (or prefix), container name or compose service name
+    // Passing `project` (even null) limits the match to that compose project's containers
+    async findContainer(target, { project } = {}) {
+        const containers = (await this.listContainers({ all: true }))
+            .filter(c => project === undefined || c.labels['com.docker.compose.project'] === project);
+        const container = containers.find(c => c.id === target || c.name === target)
+            || containers.find(c => target.length >= 4 && c.id.startsWith(target))
+            || containers.find(c => c.labels['com.docker.compose.service'] === target);
+
+        if (!container) {
+            const scope = project === undefined ? '' : ` in compose project "${project || '(none found)'}"`;
+            throw new DockerError(`No container${scope} matches "${target}"`, 404);
+        }
+        return container;
+    }
+
+    // Newline-delimited JSON stream of daemon events, limited to containers
+    events() {
+        return this.stream('/events', {
+            query: { filters: JSON.stringify({ type: ['container'] }) }
+        });
+    }
+
+    // One-shot stats sample; Docker fills precpu_stats from a second read ~1s later
+    stats(id) {
+        return this.cached('containerStats', id, () => this.request('GET', `/containers/${encodeURIComponent(id)}/stats`, {
+            query: { stream: false },
+            timeout: this.timeout + 2000
+        }));
+    }
+
+    async logs(id, { tail = 100, since, follow = false } = {}) {
+        const query = { stdout: true, stderr: true, timestamps: true, follow, tail };
+        if (since) query.since = since;
+        return this.stream(`/containers/${encodeURIComponent(id)}/logs`, { query });
+    }
+}
+
+module.exports = { DockerClient, DockerError, parseDockerHost };
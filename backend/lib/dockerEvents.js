@@ -0,0 +1,66 @@
+// Container lifecycle actions worth pushing to the dashboard
+const RELEVANT_ACTIONS = ['create', 'start', 'stop', 'die', 'kill', 'restart', 'pause', 'unpause', 'destroy', 'oom'];
+
+// Follow the Docker events stream, reconnecting with exponential backoff.
+// Returns a function that stops watching.
+const watchContainerEvents = (docker, onEvent, { minDelay = 1000, maxDelay = 30000 } = {}) => {
+    let stopped = false;
+    let source = null;
+    let retryTimer = null;
+    let delay = minDelay;
+
+    const scheduleReconnect = () => {
+        if (stopped) return;
+        retryTimer = setTimeout(connect, delay);
+        delay = Math.min(delay * 2, maxDelay);
+    };
+
+    const connect = async () => {
+        try {
+            source = await docker.events();
+        } catch (error) {
+            return scheduleReconnect();
+        }
+        if (stopped) return source.destroy();
+
+        delay = minDelay;
+        let partial = '';
+        source.on('data', (chunk) => {
+            const lines = (partial + chunk.toString('utf8')).split('\n');
+            partial = lines.pop();
+            lines.filter(line => line.trim()).forEach(line => {
+                let event;
+                try {
+                    event = JSON.parse(line);
+                } catch (error) {
+                    return;
+                }
+
+                const action = (event.Action || '').split(':')[0];
+                if (!RELEVANT_ACTIONS.includes(action) && action !== 'health_status') return;
+
+                const attributes = (event.Actor && event.Actor.Attributes) || {};
+                onEvent({
+                    action,
+                    id: event.Actor && event.Actor.ID,
+                    name: attributes.name,
+                    service: attributes['com.docker.compose.service'] || null,
+                    health: action === 'health_status' ? event.Action.split(': ')[1] || null : undefined,
+                    time: new Date(event.timeNano ? event.timeNano / 1e6 : event.time * 1000).toISOString()
+                });
+            });
+        });
+        source.on('error', () => source.destroy());
+        source.on('close', scheduleReconnect);
+    };
+
+    connect();
+
+    return () => {
+        stopped = true;
+        clearTimeout(retryTimer);
+        if (source) source.destroy();
+    };
+};
+
+module.exports = { watchContainerEvents };
@@ -0,0 +1,13 @@
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+// "500ms", "30s", "5m", "2h", "7d" -> milliseconds; numbers pass through as ms
+const parseDuration = (value) => {
+    if (value === undefined || value === null || value === '') return 0;
+    if (typeof value === 'number') return value;
+
+    const match = String(value).match(/^(\d+)(ms|s|m|h|d)$/);
+    if (!match) throw new Error(`Invalid duration "${value}"`);
+    return Number(match[1]) * DURATION_UNITS[match[2]];
+};
+
+module.exports = { parseDuration };
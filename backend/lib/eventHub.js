@@ -0,0 +1,83 @@
+const { EventEmitter } = require('events');
+const { logger } = require('./logger');
+
+// Drop volatile fields so unchanged payloads are not re-broadcast
+const fingerprint = (data) => JSON.stringify(data, (key, value) => (key === 'timestamp' ? undefined : value));
+
+// Fan-out of status, metrics and container events to push subscribers (SSE, WebSocket).
+// Sources are only polled while at least one client is subscribed, and every
+// subscriber shares the same computation.
+class EventHub extends EventEmitter {
+    constructor({ interval = 5000, sources = {} } = {}) {
+        super();
+        this.interval = interval;
+        this.sources = sources;
+        this.latest = {};
+        this.fingerprints = {};
+        this.sequence = 0;
+        this.subscribers = 0;
+        this.timer = null;
+        this.setMaxListeners(0);
+    }
+
+    publish(type, data) {
+        this.latest[type] = data;
+        const event = { id: ++this.sequence, type, data };
+        this.emit('event', event);
+        return event;
+    }
+
+    // Recompute one source and publish it only if its content changed
+    async refresh(type) {
+        const data = await this.sources[type]();
+        const print = fingerprint(data);
+        if (this.fingerprints[type] === print) return;
+
+        this.fingerprints[type] = print;
+        this.publish(type, data);
+    }
+
+    refreshAll() {
+        return Promise.all(Object.keys(this.sources).map(type =>
+            this.refresh(type).catch(error => logger.error('Event source failed', { source: type, error }))
+        ));
+    }
+
+    snapshot() {
+        return Object.entries(this.latest).map(([type, data]) => ({ id: this.sequence, type, data }));
+    }
+
+    subscribe(listener) {
+        this.on('event', listener);
+        this.subscribers++;
+        if (this.subscribers === 1) this.start();
+
+        return () => {
+            this.off('event', listener);
+            this.subscribers--;
+            if (this.subscribers === 0) this.stop();
+        };
+    }
+
+    start() {
+        this.refreshAll();
+        this.timer = setInterval(() => this.refreshAll(), this.interval);
+        this.timer.unref();
+        this.emit('active');
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        // Start fresh next time so reconnecting clients never get a stale snapshot
+        this.latest = {};
+        this.fingerprints = {};
+        this.emit('idle');
+    }
+
+    get active() {
+        return this.subscribers > 0;
+    }
+}
+
+module.exports = { EventHub };
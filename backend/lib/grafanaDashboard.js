@@ -0,0 +1,153 @@
+// Grafana dashboard for the metrics registered in lib/metrics.js, built from the
+// routes the Express app actually serves so new routes show up on regeneration.
+
+const DATASOURCE = { type: 'prometheus', uid: '${datasource}' };
+const RATE = '[$__rate_interval]';
+const ROUTE = 'route=~"$route"';
+
+// [{ method, path }] for every route registered on an app or router (mounted at `prefix`), in registration order
+const listRoutes = (router, prefix = '') => (router._router || router).stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods)
+        .filter(method => method !== '_all')
+        .map(method => ({ method: method.toUpperCase(), path: `${prefix}${layer.route.path}` })));
+
+const target = (expr, legendFormat, refId = 'A', extra = {}) => ({ datasource: DATASOURCE, expr, legendFormat, refId, ...extra });
+
+const panel = (type, title, gridPos, targets, { unit, description, ...options } = {}) => ({
+    type,
+    title,
+    description,
+    datasource: DATASOURCE,
+    gridPos,
+    targets,
+    fieldConfig: { defaults: { unit }, overrides: [] },
+    ...options
+});
+
+const timeseries = (title, gridPos, targets, options) => panel('timeseries', title, gridPos, targets, options);
+
+const stat = (title, gridPos, targets, options) => panel('stat', title, gridPos, targets, {
+    options: { reduceOptions: { calcs: ['lastNotNull'] }, colorMode: 'value', graphMode: 'area' },
+    ...options
+});
+
+const sum = (by) => (by ? `sum by (${by})` : 'sum');
+
+const requestRate = ({ by, window = RATE } = {}) => `${sum(by)} (rate(http_requests_total{${ROUTE}}${window}))`;
+const errorRatio = ({ by, window = RATE } = {}) =>
+    `${sum(by)} (rate(http_requests_total{${ROUTE},status_code=~"5.."}${window})) / ${requestRate({ by, window })}`;
+const latency = (quantile, { by, window = RATE } = {}) =>
+    `histogram_quantile(${quantile}, ${sum(by ? `${by}, le` : 'le')} (rate(http_request_duration_seconds_bucket{${ROUTE}}${window})))`;
+
+const buildPanels = () => [
+    stat('Request rate', { x: 0, y: 0, w: 6, h: 4 }, [target(requestRate(), '')], { unit: 'reqps' }),
+    stat('Error ratio (5xx)', { x: 6, y: 0, w: 6, h: 4 }, [target(errorRatio(), '')], { unit: 'percentunit' }),
+    stat('p95 latency', { x: 12, y: 0, w: 6, h: 4 }, [target(latency(0.95), '')], { unit: 's' }),
+    stat('Failing health checks', { x: 18, y: 0, w: 6, h: 4 }, [target('count(health_check_status == 0) or vector(0)', '')], {
+        fieldConfig: {
+            defaults: {
+                thresholds: { mode: 'absolute', steps: [{ color: 'green', value: null }, { color: 'red', value: 1 }] }
+            },
+            overrides: []
+        }
+    }),
+
+    timeseries('Requests per second by route', { x: 0, y: 4, w: 12, h: 8 }, [
+        target(requestRate({ by: 'route' }), '{{route}}')
+    ], { unit: 'reqps' }),
+    timeseries('Latency percentiles', { x: 12, y: 4, w: 12, h: 8 }, [
+        target(latency(0.5), 'p50', 'A'),
+        target(latency(0.95), 'p95', 'B'),
+        target(latency(0.99), 'p99', 'C')
+    ], { unit: 's' }),
+
+    timeseries('Error ratio by route', { x: 0, y: 12, w: 12, h: 8 }, [target(errorRatio({ by: 'route' }), '{{route}}')], { unit: 'percentunit' }),
+    timeseries('Responses by status code', { x: 12, y: 12, w: 12, h: 8 }, [
+        target(requestRate({ by: 'status_code' }), '{{status_code}}')
+    ], { unit: 'reqps' }),
+
+    panel('table', 'Routes', { x: 0, y: 20, w: 24, h: 10 }, [
+        target(requestRate({ by: 'route', window: '[5m]' }), '', 'A', { instant: true, format: 'table' }),
+        target(latency(0.95, { by: 'route', window: '[5m]' }), '', 'B', { instant: true, format: 'table' }),
+        target(errorRatio({ by: 'route', window: '[5m]' }), '', 'C', { instant: true, format: 'table' })
+    ], {
+        description: 'Last 5 minutes per registered route',
+        transformations: [
+            { id: 'merge', options: {} },
+            {
+                id: 'organize',
+                options: {
+                    excludeByName: { Time: true },
+                    renameByName: { 'Value #A': 'Requests/s', 'Value #B': 'p95 (s)', 'Value #C': 'Error ratio' }
+                }
+            }
+        ]
+    }),
+
+    panel('state-timeline', 'Health checks', { x: 0, y: 30, w: 12, h: 8 }, [target('health_check_status', '{{check}}')], {
+        fieldConfig: {
+            defaults: {
+                mappings: [{ type: 'value', options: { 0: { text: 'fail', color: 'red' }, 1: { text: 'pass', color: 'green' } } }]
+            },
+            overrides: []
+        }
+    }),
+    timeseries('Health check latency', { x: 12, y: 30, w: 12, h: 8 }, [
+        target('health_check_duration_seconds', '{{check}}')
+    ], { unit: 's' }),
+
+    timeseries('Rate-limited requests', { x: 0, y: 38, w: 8, h: 8 }, [
+        target(`sum by (limit) (rate(rate_limit_rejected_total${RATE}))`, '{{limit}}')
+    ], { unit: 'reqps' }),
+    timeseries('Alert notifications', { x: 8, y: 38, w: 8, h: 8 }, [
+        target(`sum by (notifier, outcome) (increase(alert_notifications_total${RATE}))`, '{{notifier}} {{outcome}}')
+    ]),
+    timeseries('Event loop lag and heap', { x: 16, y: 38, w: 8, h: 8 }, [
+        target('nodejs_eventloop_lag_p99_seconds', 'event loop lag p99', 'A'),
+        target('nodejs_heap_size_used_bytes / nodejs_heap_size_total_bytes', 'heap used ratio', 'B')
+    ], { unit: 'short' }),
+
+    timeseries('Cache hit ratio by source', { x: 0, y: 46, w: 12, h: 8 }, [
+        target(`sum by (source) (rate(cache_lookups_total{outcome!="miss"}${RATE})) / sum by (source) (rate(cache_lookups_total${RATE}))`, '{{source}}')
+    ], { unit: 'percentunit', description: 'Lookups answered from the cache or by joining an in-flight fetch' }),
+    timeseries('Cache lookups', { x: 12, y: 46, w: 12, h: 8 }, [
+        target(`sum by (source, outcome) (rate(cache_lookups_total${RATE}))`, '{{source}} {{outcome}}')
+    ], { unit: 'ops' })
+];
+
+const buildDashboard = ({ routes, version, title = 'DockerWeb Backend', uid = 'dockerweb-backend' }) => {
+    const paths = [...new Set(routes.map(route => route.path))];
+
+    return {
+        id: null,
+        uid,
+        title,
+        description: `Express backend ${version}: ${routes.length} registered routes. Generated by GET /api/v1/grafana/dashboard (npm run grafana-dashboard).`,
+        tags: ['dockerweb', 'backend', 'generated'],
+        timezone: 'browser',
+        editable: true,
+        refresh: '30s',
+        schemaVersion: 39,
+        time: { from: 'now-6h', to: 'now' },
+        templating: {
+            list: [
+                { name: 'datasource', label: 'Data source', type: 'datasource', query: 'prometheus', current: {} },
+                {
+                    name: 'route',
+                    label: 'Route',
+                    type: 'custom',
+                    multi: true,
+                    includeAll: true,
+                    allValue: '.*',
+                    current: { text: 'All', value: '$__all' },
+                    query: paths.join(','),
+                    options: paths.map(path => ({ text: path, value: path, selected: false }))
+                }
+            ]
+        },
+        panels: buildPanels().map((entry, i) => ({ id: i + 1, ...entry }))
+    };
+};
+
+module.exports = { buildDashboard, listRoutes };
@@ -0,0 +1,143 @@
+const net = require('net');
+
+// Checks receive an AbortSignal so probes can release sockets once the timeout hits
+const runWithTimeout = (check, ms) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), ms);
+    const timedOut = new Promise((resolve, reject) => {
+        controller.signal.addEventListener('abort', () => reject(new Error(`timed out after ${ms}ms`)));
+    });
+
+    return Promise.race([Promise.resolve().then(() => check({ signal: controller.signal })), timedOut])
+        .finally(() => clearTimeout(timer));
+};
+
+// Named dependency checks with per-check timeout, criticality and result caching.
+// A check function takes { signal } and resolves with optional details or throws to fail.
+class HealthCheckRegistry {
+    constructor({ timeout = 3000, cacheTtl = 10000 } = {}) {
+        this.timeout = timeout;
+        this.cacheTtl = cacheTtl;
+        this.checks = new Map();
+    }
+
+    register(name, check, { timeout = this.timeout, critical = true, cacheTtl = this.cacheTtl, description = '' } = {}) {
+        this.checks.set(name, {
+            name,
+            check,
+            timeout,
+            critical,
+            cacheTtl,
+            description,
+            result: null,
+            lastError: null,
+            lastSuccess: null,
+            pending: null
+        });
+        return this;
+    }
+
+    async run(name, { force = false } = {}) {
+        const entry = this.checks.get(name);
+        if (!entry) throw new Error(`Unknown health check "${name}"`);
+
+        const fresh = entry.result && Date.now() - Date.parse(entry.result.checkedAt) < entry.cacheTtl;
+        if (fresh && !force) return { ...entry.result, cached: true };
+
+        // Concurrent callers share one probe
+        if (!entry.pending) {
+            entry.pending = this.execute(entry).finally(() => {
+                entry.pending = null;
+            });
+        }
+        return entry.pending;
+    }
+
+    async execute(entry) {
+        const started = Date.now();
+        let status = 'pass';
+        let details = null;
+
+        try {
+            details = (await runWithTimeout(entry.check, entry.timeout)) || null;
+            entry.lastSuccess = new Date().toISOString();
+        } catch (error) {
+            status = 'fail';
+            details = error.details || null;
+            entry.lastError = { message: error.message, at: new Date().toISOString() };
+        }
+
+        entry.result = {
+            name: entry.name,
+            description: entry.description,
+            status,
+            critical: entry.critical,
+            latencyMs: Date.now() - started,
+            checkedAt: new Date().toISOString(),
+            lastSuccess: entry.lastSuccess,
+            lastError: entry.lastError,
+            details
+        };
+        return { ...entry.result, cached: false };
+    }
+
+    // healthy: all pass; degraded: only non-critical failures; unhealthy: a critical check failed
+    async runAll(options) {
+        const checks = await Promise.all([...this.checks.keys()].map(name => this.run(name, options)));
+        const failed = checks.filter(check => check.status === 'fail');
+
+        let status = 'healthy';
+        if (failed.some(check => check.critical)) status = 'unhealthy';
+        else if (failed.length) status = 'degraded';
+
+        return { status, checks };
+    }
+}
+
+// Any 2xx/3xx response passes
+const httpProbe = (url) => async ({ signal }) => {
+    const response = await fetch(url, { method: 'GET', redirect: 'manual', signal });
+    if (response.status >= 400) throw new Error(`HTTP ${response.status} from ${url}`);
+    return { url, statusCode: response.status };
+};
+
+// "host:port" accepts a TCP connection
+const tcpProbe = (address) => ({ signal }) => new Promise((resolve, reject) => {
+    const [host, port] = address.split(':');
+    const socket = net.connect({ host, port: Number(port) });
+    signal.addEventListener('abort', () => socket.destroy());
+    socket.once('connect', () => {
+        socket.destroy();
+        resolve({ address });
+    });
+    socket.once('error', (error) => {
+        socket.destroy();
+        reject(new Error(`${address}: ${error.message}`));
+    });
+});
+
+const dockerProbe = (docker) => async () => {
+    await docker.ping();
+    return { host: docker.connection.socketPath || `${docker.connection.host}:${docker.connection.port}` };
+};
+
+const diskSpaceCheck = (sampler, threshold) => async () => {
+    const { disk, resources } = await sampler.getLatest();
+    if (disk === null) throw new Error('Disk usage unavailable');
+
+    const details = { threshold, ...(resources && resources.disk ? resources.disk : { percent: disk }) };
+    if (disk >= threshold) {
+        const error = new Error(`Disk ${disk}% used (threshold ${threshold}%)`);
+        error.details = details;
+        throw error;
+    }
+    return details;
+};
+
+module.exports = {
+    HealthCheckRegistry,
+    httpProbe,
+    tcpProbe,
+    dockerProbe,
+    diskSpaceCheck
+};
@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+
+// Hash of a JSON body without its top-level `timestamp`: payloads rebuilt with the
+// same data keep their ETag, so pollers get a 304 until something actually changes
+const bodyETag = (body) => {
+    const { timestamp, ...content } = Array.isArray(body) ? { content: body } : body;
+    return `"${crypto.createHash('sha1').update(JSON.stringify(content)).digest('base64url')}"`;
+};
+
+// Cache-Control for GET responses: revalidate every time by default, or reuse for
+// `maxAge` ms where the payload itself is cached that long anyway
+const cacheControl = (maxAge = 0) => (req, res, next) => {
+    if (req.method === 'GET' || req.method === 'HEAD') {
+        res.set('Cache-Control', maxAge >= 1000 ? `private, max-age=${Math.floor(maxAge / 1000)}` : 'private, no-cache');
+    }
+    next();
+};
+
+// ETags on successful JSON GET responses. res.send compares them with If-None-Match
+// (req.fresh) and answers 304 without a body when they match.
+const conditionalGet = () => (req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        if (res.statusCode === 200 && body && typeof body === 'object') res.set('ETag', bodyETag(body));
+        return json(body);
+    };
+    next();
+};
+
+module.exports = { cacheControl, conditionalGet, bodyETag };
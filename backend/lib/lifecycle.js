@@ -0,0 +1,140 @@
+const { logger } = require('./logger');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const withTimeout = (promise, ms, message) => Promise.race([
+    promise,
+    sleep(ms).then(() => {
+        throw new Error(message);
+    })
+]);
+
+// Liveness, readiness and graceful shutdown for the HTTP server.
+// States: starting -> ready -> draining -> stopped. While draining, readiness
+// reports 503, the listener stops accepting connections, long-lived streams
+// are closed and in-flight requests get until the deadline to finish.
+class Lifecycle {
+    constructor({ timeout = 10000, drainDelay = 0, checks = {}, checkTimeout = 2000 } = {}) {
+        this.timeout = timeout;
+        this.drainDelay = drainDelay;
+        this.checks = checks;
+        this.checkTimeout = checkTimeout;
+        this.state = 'starting';
+        this.startTime = Date.now();
+        this.server = null;
+        this.streams = new Set();
+        this.hooks = [];
+        this.shutdownPromise = null;
+    }
+
+    attach(server) {
+        this.server = server;
+        server.on('listening', () => {
+            if (this.state === 'starting') this.state = 'ready';
+        });
+    }
+
+    // Register a long-lived response (SSE, WebSocket); returns the unregister function
+    trackStream(close) {
+        this.streams.add(close);
+        return () => this.streams.delete(close);
+    }
+
+    // Cleanup run after the server has drained (timers, watchers, sockets)
+    onShutdown(hook) {
+        this.hooks.push(hook);
+    }
+
+    // Ask keep-alive clients to reconnect elsewhere once draining has begun
+    middleware() {
+        return (req, res, next) => {
+            if (this.state === 'draining') res.set('Connection', 'close');
+            next();
+        };
+    }
+
+    liveness() {
+        return {
+            status: this.state === 'stopped' ? 'dead' : 'alive',
+            state: this.state,
+            uptimeSeconds: Math.round((Date.now() - this.startTime) / 1000),
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    async readiness() {
+        const entries = await Promise.all(Object.entries(this.checks).map(async ([name, check]) => {
+            const started = Date.now();
+            try {
+                await withTimeout(Promise.resolve().then(check), this.checkTimeout, `timed out after ${this.checkTimeout}ms`);
+                return [name, { ok: true, durationMs: Date.now() - started }];
+            } catch (error) {
+                return [name, { ok: false, durationMs: Date.now() - started, error: error.message }];
+            }
+        }));
+        const checks = Object.fromEntries(entries);
+
+        return {
+            ready: this.state === 'ready' && entries.every(([, result]) => result.ok),
+            state: this.state,
+            checks,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    shutdown(signal) {
+        if (!this.shutdownPromise) this.shutdownPromise = this.drain(signal);
+        return this.shutdownPromise;
+    }
+
+    async drain(signal) {
+        this.state = 'draining';
+        logger.info('Shutting down', { signal, timeoutMs: this.timeout, drainDelayMs: this.drainDelay });
+
+        // Give load balancers a chance to see the readiness flip first
+        if (this.drainDelay > 0) await sleep(this.drainDelay);
+
+        const closed = this.server
+            ? new Promise(resolve => this.server.close(resolve))
+            : Promise.resolve();
+        if (this.server) this.server.closeIdleConnections();
+
+        this.streams.forEach(close => close());
+        this.streams.clear();
+
+        let timer;
+        const drained = await Promise.race([
+            closed.then(() => true),
+            new Promise(resolve => {
+                timer = setTimeout(() => resolve(false), this.timeout);
+            })
+        ]);
+        clearTimeout(timer);
+
+        if (!drained) {
+            logger.warn('Shutdown deadline reached, closing remaining connections', { timeoutMs: this.timeout });
+            this.server.closeAllConnections();
+        }
+
+        for (const hook of this.hooks) {
+            try {
+                await hook();
+            } catch (error) {
+                logger.error('Shutdown hook failed', { error });
+            }
+        }
+
+        this.state = 'stopped';
+        logger.info('Shutdown complete', { drained });
+        return drained;
+    }
+
+    // Exit once drained: 0 when everything finished in time, 1 when connections were cut
+    handleSignals(signals = ['SIGTERM', 'SIGINT']) {
+        signals.forEach(signal => process.once(signal, () => {
+            this.shutdown(signal).then(drained => process.exit(drained ? 0 : 1));
+        }));
+    }
+}
+
+module.exports = { Lifecycle };
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Size-based rotation: app.log -> app.log.1 -> ... -> app.log.<maxFiles>
+class RotatingFileStream {
+    constructor({ file, maxSize = 10 * 1024 * 1024, maxFiles = 5 }) {
+        this.file = file;
+        this.maxSize = maxSize;
+        this.maxFiles = maxFiles;
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        this.open();
+    }
+
+    // Synchronous appends keep ordering simple and make rotation race-free
+    open() {
+        this.fd = fs.openSync(this.file, 'a');
+        this.size = fs.fstatSync(this.fd).size;
+    }
+
+    rotate() {
+        fs.closeSync(this.fd);
+        for (let i = this.maxFiles - 1; i >= 1; i--) {
+            const from = `${this.file}.${i}`;
+            if (fs.existsSync(from)) fs.renameSync(from, `${this.file}.${i + 1}`);
+        }
+        fs.renameSync(this.file, `${this.file}.1`);
+        this.open();
+    }
+
+    write(line) {
+        const bytes = Buffer.byteLength(line);
+        if (this.size > 0 && this.size + bytes > this.maxSize) this.rotate();
+        fs.writeSync(this.fd, line);
+        this.size += bytes;
+    }
+}
+
+const createOutput = ({ output = 'stdout', file, maxSize, maxFiles } = {}) => (output === 'file'
+    ? new RotatingFileStream({ file, maxSize, maxFiles })
+    : process.stdout);
+
+const serializeError = (error) => ({
+    name: error.name,
+    message: error.message,
+    stack: error.stack,
+    ...(error.statusCode ? { statusCode: error.statusCode } : {})
+});
+
+class Logger {
+    constructor({ level = 'info', output, fields = {} }) {
+        if (!LEVELS[level]) throw new Error(`Unknown log level "${level}"`);
+        this.level = level;
+        this.output = output;
+        this.fields = fields;
+    }
+
+    // Applied in place so modules holding the shared instance pick up the change
+    configure({ level = this.level, ...options }) {
+        if (!LEVELS[level]) throw new Error(`Unknown log level "${level}"`);
+        this.level = level;
+        this.output = createOutput(options);
+    }
+
+    child(fields) {
+        return new Logger({ level: this.level, output: this.output, fields: { ...this.fields, ...fields } });
+    }
+
+    log(level, message, fields = {}) {
+        if (LEVELS[level] < LEVELS[this.level]) return;
+
+        const entry = { time: new Date().toISOString(), level, msg: message, ...this.fields };
+        Object.entries(fields).forEach(([key, value]) => {
+            entry[key] = value instanceof Error ? serializeError(value) : value;
+        });
+        this.output.write(`${JSON.stringify(entry)}\n`);
+    }
+
+    debug(message, fields) {
+        this.log('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this.log('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this.log('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this.log('error', message, fields);
+    }
+}
+
+// Options mirror the `logging` config section: level, output (stdout|file), file, maxSize, maxFiles
+const createLogger = (options = {}) => new Logger({ level: options.level, output: createOutput(options) });
+
+// Shared instance; logs to stdout at info until server.js applies the loaded configuration
+const logger = createLogger();
+
+module.exports = { logger, createLogger, Logger, RotatingFileStream };
@@ -0,0 +1,113 @@
+const client = require('prom-client');
+
+const register = new client.Registry();
+
+// Process metrics: CPU, heap, event-loop lag, GC durations, handles
+client.collectDefaultMetrics({ register });
+
+const httpRequestsTotal = new client.Counter({
+    name: 'http_requests_total',
+    help: 'Total number of HTTP requests handled',
+    labelNames: ['route', 'method', 'status_code'],
+    registers: [register]
+});
+
+const httpRequestDuration = new client.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency in seconds',
+    labelNames: ['route', 'method', 'status_code'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [register]
+});
+
+const alertNotificationsTotal = new client.Counter({
+    name: 'alert_notifications_total',
+    help: 'Alert notifications sent, by notifier, alert status and outcome',
+    labelNames: ['notifier', 'status', 'outcome'],
+    registers: [register]
+});
+
+const rateLimitRejectedTotal = new client.Counter({
+    name: 'rate_limit_rejected_total',
+    help: 'Requests rejected with 429, by rate limit name',
+    labelNames: ['limit'],
+    registers: [register]
+});
+
+const cacheLookupsTotal = new client.Counter({
+    name: 'cache_lookups_total',
+    help: 'Backend cache lookups, by source and outcome (hit, miss or coalesced onto an in-flight fetch)',
+    labelNames: ['source', 'outcome'],
+    registers: [register]
+});
+
+// Dependency check results, read from the health check registry (which caches them) on each scrape
+const registerHealthCheckMetrics = (healthChecks) => {
+    // prom-client calls collect() with the gauge as `this`
+    const collectFrom = (value) => async function collect() {
+        const { checks } = await healthChecks.runAll();
+        this.reset();
+        checks.forEach(check => this.set({ check: check.name, critical: String(check.critical) }, value(check)));
+    };
+
+    new client.Gauge({
+        name: 'health_check_status',
+        help: 'Result of each dependency health check (1 = pass, 0 = fail)',
+        labelNames: ['check', 'critical'],
+        registers: [register],
+        collect: collectFrom(check => (check.status === 'pass' ? 1 : 0))
+    });
+
+    new client.Gauge({
+        name: 'health_check_duration_seconds',
+        help: 'Latency of the most recent run of each dependency health check',
+        labelNames: ['check', 'critical'],
+        registers: [register],
+        collect: collectFrom(check => check.latencyMs / 1000)
+    });
+};
+
+// Use the matched route pattern so label cardinality stays bounded
+const getRouteLabel = (req) => {
+    if (req.route && req.route.path) {
+        return `${req.baseUrl || ''}${req.route.path}`;
+    }
+    return 'unmatched';
+};
+
+const metricsMiddleware = (req, res, next) => {
+    const start = process.hrtime.bigint();
+
+    res.on('finish', () => {
+        const labels = {
+            route: getRouteLabel(req),
+            method: req.method,
+            status_code: String(res.statusCode)
+        };
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        httpRequestsTotal.inc(labels);
+        httpRequestDuration.observe(labels, seconds);
+    });
+
+    next();
+};
+
+const metricsHandler = async (req, res) => {
+    try {
+        res.set('Content-Type', register.contentType);
+        res.end(await register.metrics());
+    } catch (error) {
+        res.status(500).end(error.message);
+    }
+};
+
+module.exports = {
+    client,
+    register,
+    alertNotificationsTotal,
+    rateLimitRejectedTotal,
+    cacheLookupsTotal,
+    registerHealthCheckMetrics,
+    metricsMiddleware,
+    metricsHandler
+};
@@ -0,0 +1,284 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+
+// Latency histogram bounds in ms; percentiles are interpolated within a bucket,
+// which keeps them mergeable across rollups.
+const LATENCY_BOUNDS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, Infinity];
+
+// Per-container gauges are recorded as container.<service>.cpu / .memory
+const CONTAINER_METRIC = /^container\.[\w-]+\.(cpu|memory)$/;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const emptyBucket = (t) => ({
+    t,
+    requests: 0,
+    errors: 0,
+    latencySum: 0,
+    latency: LATENCY_BOUNDS.map(() => 0),
+    gauges: {}
+});
+
+const mergeInto = (target, source) => {
+    target.requests += source.requests;
+    target.errors += source.errors;
+    target.latencySum += source.latencySum;
+    source.latency.forEach((count, i) => {
+        target.latency[i] += count;
+    });
+    Object.entries(source.gauges).forEach(([name, gauge]) => {
+        const current = target.gauges[name];
+        target.gauges[name] = current
+            ? { sum: current.sum + gauge.sum, count: current.count + gauge.count, max: Math.max(current.max, gauge.max) }
+            : { ...gauge };
+    });
+    return target;
+};
+
+const percentile = (latency, q) => {
+    const total = latency.reduce((sum, count) => sum + count, 0);
+    if (!total) return null;
+
+    const rank = q * total;
+    let seen = 0;
+    for (let i = 0; i < latency.length; i++) {
+        if (seen + latency[i] >= rank) {
+            const lower = i === 0 ? 0 : LATENCY_BOUNDS[i - 1];
+            // The overflow bucket has no upper bound; report its lower edge
+            const upper = LATENCY_BOUNDS[i] === Infinity ? lower : LATENCY_BOUNDS[i];
+            return round(lower + (upper - lower) * ((rank - seen) / latency[i]));
+        }
+        seen += latency[i];
+    }
+    return null;
+};
+
+const gauge = (name) => (bucket) => {
+    const value = bucket.gauges[name];
+    return value ? round(value.sum / value.count) : null;
+};
+
+// How each queryable metric is derived from a (merged) bucket
+const METRICS = {
+    request_rate: (bucket, stepMs) => round(bucket.requests / (stepMs / SECOND)),
+    error_rate: (bucket) => (bucket.requests ? round((bucket.errors / bucket.requests) * 100) : null),
+    response_time_avg: (bucket) => (bucket.requests ? round(bucket.latencySum / bucket.requests) : null),
+    response_time_p50: (bucket) => percentile(bucket.latency, 0.5),
+    response_time_p95: (bucket) => percentile(bucket.latency, 0.95),
+    response_time_p99: (bucket) => percentile(bucket.latency, 0.99),
+    cpu: gauge('cpu'),
+    memory: gauge('memory'),
+    disk: gauge('disk')
+};
+
+const resolveMetric = (metric) => METRICS[metric] || (CONTAINER_METRIC.test(metric) ? gauge(metric) : null);
+
+class HistoryQueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'HistoryQueryError';
+        this.statusCode = 400;
+    }
+}
+
+// Downsampled time series: 1s buckets roll up into 1m and 1h buckets, each tier
+// with its own retention. Minute and hour tiers are persisted as JSON lines.
+class MetricsHistory {
+    // collectors: [{ interval, collect }] where collect resolves to { gaugeName: number }
+    constructor({ dir, retention = {}, collectors = [], maxPoints = 2000 } = {}) {
+        this.dir = dir;
+        this.collectors = collectors;
+        this.maxPoints = maxPoints;
+        this.tiers = [
+            { name: '1s', resolution: SECOND, retention: retention.second || HOUR, buckets: [], current: null, persist: false },
+            { name: '1m', resolution: MINUTE, retention: retention.minute || 7 * 24 * HOUR, buckets: [], current: null, persist: true },
+            { name: '1h', resolution: HOUR, retention: retention.hour || 90 * 24 * HOUR, buckets: [], current: null, persist: true }
+        ];
+        this.timers = [];
+    }
+
+    file(tier) {
+        return path.join(this.dir, `${tier.name}.jsonl`);
+    }
+
+    async start() {
+        await this.load();
+        this.timers = [
+            setInterval(() => this.tick(), SECOND),
+            ...this.collectors.map(({ interval, collect }) => setInterval(() => this.sampleGauges(collect), interval))
+        ];
+        this.timers.forEach(timer => timer.unref());
+    }
+
+    // Persist the partial minute/hour so a restart loses at most the open second
+    async stop() {
+        this.timers.forEach(timer => clearInterval(timer));
+        this.timers = [];
+        this.tick();
+        await Promise.all(this.tiers.filter(tier => tier.persist && tier.current)
+            .map(tier => this.append(tier, tier.current)));
+    }
+
+    async load() {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+
+        for (const tier of this.tiers.filter(t => t.persist)) {
+            let text;
+            try {
+                text = await fs.promises.readFile(this.file(tier), 'utf8');
+            } catch (error) {
+                if (error.code === 'ENOENT') continue;
+                throw error;
+            }
+
+            // Partial buckets flushed on shutdown share a timestamp with their continuation
+            const cutoff = Date.now() - tier.retention;
+            const byTime = new Map();
+            text.split('\n').filter(line => line.trim()).forEach(line => {
+                try {
+                    const bucket = JSON.parse(line);
+                    if (bucket.t < cutoff) return;
+                    const existing = byTime.get(bucket.t);
+                    byTime.set(bucket.t, existing ? mergeInto(existing, bucket) : bucket);
+                } catch (error) {
+                    // Skip corrupt lines; the compaction below drops them
+                }
+            });
+
+            const buckets = [...byTime.values()].sort((a, b) => a.t - b.t);
+            const now = Date.now();
+            const openStart = Math.floor(now / tier.resolution) * tier.resolution;
+            tier.current = buckets.length && buckets[buckets.length - 1].t === openStart ? buckets.pop() : null;
+            tier.buckets = buckets;
+
+            const content = tier.buckets.map(bucket => JSON.stringify(bucket)).join('\n');
+            await fs.promises.writeFile(this.file(tier), content ? `${content}\n` : '');
+        }
+    }
+
+    append(tier, bucket) {
+        return fs.promises.appendFile(this.file(tier), `${JSON.stringify(bucket)}\n`)
+            .catch(error => logger.error('Failed to persist metrics history', { tier: tier.name, error }));
+    }
+
+    bucketFor(tier, t) {
+        const start = Math.floor(t / tier.resolution) * tier.resolution;
+        if (!tier.current || tier.current.t !== start) {
+            if (tier.current) this.close(tier);
+            tier.current = emptyBucket(start);
+        }
+        return tier.current;
+    }
+
+    recordRequest(durationMs, statusCode, t = Date.now()) {
+        const bucket = this.bucketFor(this.tiers[0], t);
+        bucket.requests++;
+        if (statusCode >= 500) bucket.errors++;
+        bucket.latencySum += durationMs;
+        bucket.latency[LATENCY_BOUNDS.findIndex(bound => durationMs <= bound)]++;
+    }
+
+    recordGauges(values, t = Date.now()) {
+        const bucket = this.bucketFor(this.tiers[0], t);
+        Object.entries(values).forEach(([name, value]) => {
+            if (typeof value !== 'number' || Number.isNaN(value)) return;
+            const current = bucket.gauges[name] || { sum: 0, count: 0, max: value };
+            bucket.gauges[name] = { sum: current.sum + value, count: current.count + 1, max: Math.max(current.max, value) };
+        });
+    }
+
+    async sampleGauges(collect) {
+        try {
+            const values = await collect();
+            if (values) this.recordGauges(values);
+        } catch (error) {
+            logger.error('Failed to sample gauges for metrics history', { error });
+        }
+    }
+
+    // Close any bucket whose interval has ended, cascading into the next tier
+    tick(now = Date.now()) {
+        this.tiers.forEach(tier => {
+            if (tier.current && tier.current.t + tier.resolution <= now) this.close(tier);
+        });
+    }
+
+    close(tier) {
+        const bucket = tier.current;
+        tier.current = null;
+        tier.buckets.push(bucket);
+
+        const cutoff = bucket.t - tier.retention;
+        while (tier.buckets.length && tier.buckets[0].t < cutoff) tier.buckets.shift();
+        if (tier.persist) this.append(tier, bucket);
+
+        const next = this.tiers[this.tiers.indexOf(tier) + 1];
+        if (next) mergeInto(this.bucketFor(next, bucket.t), bucket);
+    }
+
+    // Finest tier that still covers `from` and is no coarser than the step
+    pickTier(from, step, now) {
+        const covering = this.tiers.filter(tier => now - tier.retention <= from);
+        const candidates = covering.filter(tier => tier.resolution <= step);
+        return candidates[candidates.length - 1] || covering[0] || this.tiers[this.tiers.length - 1];
+    }
+
+    query({ metric, from, to, step }, now = Date.now()) {
+        const derive = resolveMetric(metric);
+        if (!derive) {
+            throw new HistoryQueryError(
+                `Unknown metric "${metric}", expected one of ${Object.keys(METRICS).join(', ')} or container.<service>.cpu|memory`
+            );
+        }
+        if (!(from < to)) throw new HistoryQueryError('"from" must be before "to"');
+
+        const tier = this.pickTier(from, step || (to - from) / 300, now);
+        const stepMs = Math.max(tier.resolution, Math.ceil((step || (to - from) / 300) / tier.resolution) * tier.resolution);
+        const count = Math.ceil((to - from) / stepMs);
+        if (count > this.maxPoints) {
+            throw new HistoryQueryError(`Query would return ${count} points (max ${this.maxPoints}); increase "step"`);
+        }
+
+        // Fold raw buckets (closed plus the one still open) into step-sized windows
+        const start = Math.floor(from / stepMs) * stepMs;
+        const windows = new Map();
+        [...tier.buckets, ...(tier.current ? [tier.current] : [])]
+            .filter(bucket => bucket.t >= start && bucket.t < to)
+            .forEach(bucket => {
+                const key = Math.floor(bucket.t / stepMs) * stepMs;
+                windows.set(key, mergeInto(windows.get(key) || emptyBucket(key), bucket));
+            });
+
+        const points = [];
+        for (let t = start; t < to; t += stepMs) {
+            const bucket = windows.get(t);
+            points.push([t, bucket ? derive(bucket, stepMs) : null]);
+        }
+
+        return {
+            metric,
+            from: new Date(from).toISOString(),
+            to: new Date(to).toISOString(),
+            step: stepMs,
+            resolution: tier.name,
+            points
+        };
+    }
+
+    // Aggregate over the trailing window, e.g. the status card's recent response time
+    summarize(windowMs, now = Date.now()) {
+        const tier = this.tiers[0];
+        const total = [...tier.buckets, ...(tier.current ? [tier.current] : [])]
+            .filter(bucket => bucket.t >= now - windowMs)
+            .reduce((merged, bucket) => mergeInto(merged, bucket), emptyBucket(now - windowMs));
+
+        return Object.fromEntries(Object.keys(METRICS).map(name => [name, METRICS[name](total, windowMs)]));
+    }
+}
+
+module.exports = { MetricsHistory, HistoryQueryError, METRICS };
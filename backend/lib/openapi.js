@@ -0,0 +1,256 @@
+const fs = require('fs');
+const YAML = require('yaml');
+
+const TYPES = {
+    null: value => value === null,
+    boolean: value => typeof value === 'boolean',
+    integer: value => Number.isInteger(value),
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    string: value => typeof value === 'string',
+    array: value => Array.isArray(value),
+    object: value => typeof value === 'object' && value !== null && !Array.isArray(value)
+};
+
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+const describeValue = (value) => (value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value);
+
+// Inline every local "$ref" so validation never has to look anything up
+const resolveRefs = (node, root, stack = []) => {
+    if (Array.isArray(node)) return node.map(item => resolveRefs(item, root, stack));
+    if (!node || typeof node !== 'object') return node;
+
+    if (typeof node.$ref === 'string') {
+        if (!node.$ref.startsWith('#/')) throw new Error(`Only local $refs are supported, got ${node.$ref}`);
+        if (stack.includes(node.$ref)) throw new Error(`Circular $ref ${node.$ref}`);
+        const target = node.$ref.slice(2).split('/').reduce((parent, key) => parent && parent[key.replace(/~1/g, '/').replace(/~0/g, '~')], root);
+        if (target === undefined) throw new Error(`Unresolved $ref ${node.$ref}`);
+        return resolveRefs(target, root, [...stack, node.$ref]);
+    }
+    return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, resolveRefs(value, root, stack)]));
+};
+
+// The JSON Schema subset the spec uses; returns "path: problem" strings
+const validateSchema = (schema, value, path = '') => {
+    if (!schema || typeof schema !== 'object') return [];
+    const at = path || '(root)';
+    const errors = [];
+
+    if (schema.allOf) schema.allOf.forEach(part => errors.push(...validateSchema(part, value, path)));
+    if (schema.anyOf && !schema.anyOf.some(part => !validateSchema(part, value, path).length)) {
+        errors.push(`${at}: does not match any allowed schema`);
+    }
+    if (schema.oneOf && schema.oneOf.filter(part => !validateSchema(part, value, path).length).length !== 1) {
+        errors.push(`${at}: must match exactly one allowed schema`);
+    }
+    if ('const' in schema && value !== schema.const) errors.push(`${at}: must be ${JSON.stringify(schema.const)}`);
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${at}: must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+    }
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => TYPES[type] && TYPES[type](value))) {
+            return [...errors, `${at}: must be ${types.join(' or ')}, got ${describeValue(value)}`];
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${at}: must be at least ${schema.minLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) errors.push(`${at}: must match ${schema.pattern}`);
+        if (schema.format === 'date-time' && !DATE_TIME.test(value)) errors.push(`${at}: must be an ISO 8601 date-time`);
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: must be <= ${schema.maximum}`);
+    }
+    if (Array.isArray(value)) {
+        const prefix = schema.prefixItems || [];
+        value.forEach((item, i) => {
+            const itemSchema = i < prefix.length ? prefix[i] : schema.items;
+            errors.push(...validateSchema(itemSchema, item, `${path}[${i}]`));
+        });
+    }
+    if (TYPES.object(value)) {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) errors.push(`${path ? `${path}.` : ''}${key}: is required`);
+        });
+        Object.entries(value).forEach(([key, item]) => {
+            const keyPath = path ? `${path}.${key}` : key;
+            if (schema.properties && key in schema.properties) {
+                errors.push(...validateSchema(schema.properties[key], item, keyPath));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${keyPath}: is not allowed`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validateSchema(schema.additionalProperties, item, keyPath));
+            }
+        });
+    }
+    return errors;
+};
+
+// Query and path values arrive as strings; convert the ones declared as numbers or booleans
+const coerceParameter = (schema, raw) => {
+    const types = [].concat((schema && schema.type) || []);
+    if ((types.includes('integer') || types.includes('number')) && /^-?\d+(\.\d+)?$/.test(raw)) return Number(raw);
+    if (types.includes('boolean') && (raw === 'true' || raw === 'false')) return raw === 'true';
+    return raw;
+};
+
+// null for malformed percent-escapes, which validateRequest reports as a 400
+const decodeParameter = (raw) => {
+    try {
+        return decodeURIComponent(raw);
+    } catch (error) {
+        return null;
+    }
+};
+
+const compilePath = (template) => {
+    const names = [];
+    const source = template.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{(\w+)\}/g, (match, name) => {
+        names.push(name);
+        return '([^/]+)';
+    });
+    return { pattern: new RegExp(`^${source}$`), names };
+};
+
+const METHODS = ['get', 'put', 'post', 'delete', 'patch', 'head', 'options'];
+
+// The OpenAPI document behind /api/v1/openapi.json, used to validate requests and,
+// in test mode, responses. Schemas support the JSON Schema subset validateSchema knows.
+class OpenApiSpec {
+    constructor(document) {
+        this.document = document;
+        const resolved = resolveRefs(document, document);
+        this.errorSchema = resolved.components && resolved.components.schemas && resolved.components.schemas.Error;
+
+        // Literal paths win over templated ones ("/api/v1/containers/stats" before "/api/v1/containers/{id}/stats")
+        this.operations = Object.entries(resolved.paths || {})
+            .flatMap(([template, item]) => METHODS.filter(method => item[method]).map(method => ({
+                method: method.toUpperCase(),
+                template,
+                ...compilePath(template),
+                operation: item[method],
+                parameters: [...(item.parameters || []), ...(item[method].parameters || [])]
+            })))
+            .sort((a, b) => a.names.length - b.names.length);
+    }
+
+    static load(file) {
+        return new OpenApiSpec(YAML.parse(fs.readFileSync(file, 'utf8')));
+    }
+
+    // { template, operation, parameters, params } for a request, or null when the spec doesn't cover it
+    match(method, path) {
+        for (const entry of this.operations) {
+            if (entry.method !== method) continue;
+            const match = entry.pattern.exec(path);
+            if (match) {
+                return { ...entry, params: Object.fromEntries(entry.names.map((name, i) => [name, decodeParameter(match[i + 1])])) };
+            }
+        }
+        return null;
+    }
+
+    validateRequest(req, matched) {
+        const errors = [];
+        matched.parameters.forEach(({ name, in: location, required, schema }) => {
+            const source = location === 'path' ? matched.params : location === 'query' ? req.query : null;
+            if (!source) return;
+            const raw = source[name];
+            if (raw === null) {
+                errors.push(`${location}.${name}: is not valid percent-encoding`);
+                return;
+            }
+            if (raw === undefined) {
+                if (required) errors.push(`${location}.${name}: is required`);
+                return;
+            }
+            if (typeof raw !== 'string') {
+                errors.push(`${location}.${name}: must be given once`);
+                return;
+            }
+            errors.push(...validateSchema(schema, coerceParameter(schema, raw), `${location}.${name}`));
+        });
+
+        const body = matched.operation.requestBody;
+        const content = body && body.content && body.content['application/json'];
+        if (content) errors.push(...validateSchema(content.schema, req.body, 'body'));
+        return errors;
+    }
+
+    // Problems with a JSON response; error statuses without their own entry must match the shared Error schema
+    validateResponse(matched, statusCode, body) {
+        const responses = matched.operation.responses || {};
+        const response = responses[statusCode] || responses[`${String(statusCode)[0]}XX`] || responses.default;
+        if (!response) {
+            if (statusCode >= 400 && this.errorSchema) return validateSchema(this.errorSchema, body, 'response');
+            return [`status ${statusCode} is not documented`];
+        }
+        const content = response.content || {};
+        if (!content['application/json']) {
+            return [`status ${statusCode} is documented without a JSON body (${Object.keys(content).join(', ') || 'no content'})`];
+        }
+        return validateSchema(content['application/json'].schema, body, 'response');
+    }
+
+    // Rejects requests whose query, path or JSON body don't match the spec. Unauthenticated
+    // requests to protected operations pass through so requireRole answers 401 first.
+    // resolvePath maps aliases (e.g. deprecated unversioned routes) onto documented paths.
+    requestValidator({ resolvePath = path => path } = {}) {
+        return (req, res, next) => {
+            const matched = this.match(req.method, resolvePath(req.path));
+            if (!matched) return next();
+            const security = matched.operation.security || this.document.security || [];
+            if (!req.user && security.length) return next();
+
+            const errors = this.validateRequest(req, matched);
+            if (!errors.length) return next();
+            res.status(400).json({
+                error: 'Invalid request',
+                message: errors[0],
+                details: errors,
+                timestamp: new Date().toISOString()
+            });
+        };
+    }
+
+    // Test mode: checks every JSON response of a documented path. "warn" logs mismatches,
+    // "strict" replaces the response with a 500. Checks the serialized body in res.send so
+    // whatever other middleware adds to res.json bodies (request IDs, error envelopes) is included.
+    responseValidator({ mode = 'warn', logger }) {
+        return (req, res, next) => {
+            const matched = this.match(req.method, req.path);
+            if (!matched) return next();
+
+            const send = res.send.bind(res);
+            let replaced = false;
+            res.send = (body) => {
+                if (replaced || typeof body !== 'string' || !/json/.test(res.get('Content-Type') || '')) return send(body);
+
+                const errors = this.validateResponse(matched, res.statusCode, JSON.parse(body));
+                if (!errors.length) return send(body);
+
+                (req.log || logger).warn('Response does not match the OpenAPI schema', {
+                    operation: `${matched.method} ${matched.template}`,
+                    status: res.statusCode,
+                    errors
+                });
+                if (mode !== 'strict') return send(body);
+                replaced = true;
+                return res.status(500).json({
+                    error: 'Response does not match the OpenAPI schema',
+                    message: `${matched.method} ${matched.template} ${res.statusCode}: ${errors[0]}`,
+                    details: errors,
+                    timestamp: new Date().toISOString()
+                });
+            };
+            next();
+        };
+    }
+}
+
+module.exports = { OpenApiSpec, validateSchema };
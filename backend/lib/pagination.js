@@ -0,0 +1,56 @@
+class QueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'QueryError';
+        this.statusCode = 400;
+    }
+}
+
+// Cursors are opaque to clients: the sort key of the last item on the page
+const encodeCursor = (key) => Buffer.from(JSON.stringify(key)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        const key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (Array.isArray(key)) return key;
+    } catch (error) {
+        // fall through
+    }
+    throw new QueryError('Invalid cursor');
+};
+
+const compareKeys = (a, b) => {
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        if (a[i] === b[i]) continue;
+        return String(a[i]) < String(b[i]) ? -1 : 1;
+    }
+    return 0;
+};
+
+// Parses ?limit=&cursor=; limit defaults to `defaultLimit` (Infinity means "everything")
+const parsePageQuery = (query, { defaultLimit = 50, maxLimit = 500 } = {}) => {
+    let limit = defaultLimit;
+    if (query.limit !== undefined) {
+        limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+            throw new QueryError(`"limit" must be an integer between 1 and ${maxLimit}`);
+        }
+    }
+    return { limit, after: query.cursor ? decodeCursor(query.cursor) : null };
+};
+
+// Keyset pagination: items sorted by key(), the page starting after the cursor's key.
+// Items added or removed between requests never shift later pages.
+const paginate = (items, { limit, after }, key) => {
+    const sorted = items.map(item => [key(item), item]).sort((a, b) => compareKeys(a[0], b[0]));
+    const start = after ? sorted.findIndex(([itemKey]) => compareKeys(itemKey, after) > 0) : 0;
+    const remaining = start === -1 ? [] : sorted.slice(start);
+    const page = remaining.slice(0, limit);
+
+    return {
+        items: page.map(([, item]) => item),
+        nextCursor: remaining.length > page.length ? encodeCursor(page[page.length - 1][0]) : null
+    };
+};
+
+module.exports = { paginate, parsePageQuery, encodeCursor, decodeCursor, QueryError };
@@ -0,0 +1,70 @@
+class PrometheusError extends Error {
+    constructor(message, statusCode) {
+        super(message);
+        this.name = 'PrometheusError';
+        this.statusCode = statusCode;
+    }
+}
+
+const toSeconds = (ms) => (ms / 1000).toFixed(3);
+
+// Sample values arrive as strings ("NaN" and "+Inf" included)
+const parseSample = ([time, value]) => [Math.round(time * 1000), Number(value)];
+
+// Minimal client for the Prometheus HTTP API (instant and range queries)
+class PrometheusClient {
+    constructor({ url = 'http://prometheus:9090', timeout = 5000 } = {}) {
+        this.url = url.replace(/\/+$/, '');
+        this.timeout = timeout;
+    }
+
+    async request(path, params) {
+        let response;
+        try {
+            response = await fetch(`${this.url}/api/v1/${path}?${new URLSearchParams(params)}`, {
+                headers: { Accept: 'application/json' },
+                signal: AbortSignal.timeout(this.timeout)
+            });
+        } catch (error) {
+            if (error.name === 'TimeoutError') {
+                throw new PrometheusError(`Prometheus request timed out after ${this.timeout}ms`, 504);
+            }
+            throw new PrometheusError(`Prometheus unreachable: ${error.cause ? error.cause.message : error.message}`, 503);
+        }
+
+        let body;
+        try {
+            body = await response.json();
+        } catch (error) {
+            throw new PrometheusError(`Prometheus responded ${response.status} with a non-JSON body`, 502);
+        }
+        if (body.status !== 'success') {
+            // 400/422 are bad queries; anything else is Prometheus failing
+            const statusCode = response.status === 400 || response.status === 422 ? 400 : 502;
+            throw new PrometheusError(`Prometheus ${body.errorType || 'error'}: ${body.error || response.status}`, statusCode);
+        }
+        return body.data;
+    }
+
+    // Instant vector: [{ labels, value: [timestampMs, number] }]
+    async query(expr, { time } = {}) {
+        const data = await this.request('query', { query: expr, ...(time ? { time: toSeconds(time) } : {}) });
+        if (data.resultType !== 'vector') {
+            throw new PrometheusError(`Expected a vector result, got ${data.resultType}`, 502);
+        }
+        return data.result.map(({ metric, value }) => ({ labels: metric, value: parseSample(value) }));
+    }
+
+    // Range matrix: [{ labels, values: [[timestampMs, number], ...] }]
+    async queryRange(expr, { start, end, step }) {
+        const data = await this.request('query_range', {
+            query: expr,
+            start: toSeconds(start),
+            end: toSeconds(end),
+            step: toSeconds(step)
+        });
+        return data.result.map(({ metric, values }) => ({ labels: metric, values: values.map(parseSample) }));
+    }
+}
+
+module.exports = { PrometheusClient, PrometheusError };
@@ -0,0 +1,93 @@
+const { parseDuration } = require('./duration');
+
+// "120/1m" -> 120 requests per minute (bucket capacity 120, refilled evenly over the window)
+const parseLimit = (value) => {
+    const match = String(value).match(/^(\d+)\/(\w+)$/);
+    if (!match) throw new Error(`Invalid rate limit "${value}", expected <requests>/<window> such as 60/1m`);
+
+    const capacity = Number(match[1]);
+    const windowMs = parseDuration(match[2]);
+    return { capacity, refillPerMs: capacity / windowMs };
+};
+
+class TokenBucketLimiter {
+    constructor({ capacity, refillPerMs }) {
+        this.capacity = capacity;
+        this.refillPerMs = refillPerMs;
+        this.buckets = new Map();
+    }
+
+    take(key, now = Date.now()) {
+        let bucket = this.buckets.get(key);
+        if (!bucket) {
+            bucket = { tokens: this.capacity, updated: now };
+            this.buckets.set(key, bucket);
+        }
+
+        bucket.tokens = Math.min(this.capacity, bucket.tokens + (now - bucket.updated) * this.refillPerMs);
+        bucket.updated = now;
+
+        const allowed = bucket.tokens >= 1;
+        if (allowed) bucket.tokens -= 1;
+
+        return {
+            allowed,
+            limit: this.capacity,
+            remaining: Math.floor(bucket.tokens),
+            // Seconds until the bucket is full again / until the next token
+            reset: Math.ceil((this.capacity - bucket.tokens) / this.refillPerMs / 1000),
+            retryAfter: allowed ? 0 : Math.ceil((1 - bucket.tokens) / this.refillPerMs / 1000)
+        };
+    }
+
+    // Full buckets carry no state worth keeping
+    prune(now = Date.now()) {
+        this.buckets.forEach((bucket, key) => {
+            if (bucket.tokens + (now - bucket.updated) * this.refillPerMs >= this.capacity) {
+                this.buckets.delete(key);
+            }
+        });
+    }
+}
+
+// Client address: X-Real-IP from a trusted proxy (nginx sets it), otherwise
+// req.ip, which Express derives from X-Forwarded-For per the `trust proxy` setting.
+const getClientIp = (req) => {
+    const realIp = req.get('X-Real-IP');
+    const trust = req.app.get('trust proxy fn');
+    if (realIp && trust && trust(req.socket.remoteAddress, 0)) {
+        return realIp;
+    }
+    return req.ip;
+};
+
+const limiters = [];
+setInterval(() => limiters.forEach(limiter => limiter.prune()), 60000).unref();
+
+// Express middleware enforcing one named limit per client IP
+const rateLimit = ({ name, limit, onReject = () => {} }) => {
+    const limiter = new TokenBucketLimiter(parseLimit(limit));
+    limiters.push(limiter);
+
+    return (req, res, next) => {
+        const result = limiter.take(`${name}:${getClientIp(req)}`);
+
+        res.set({
+            'RateLimit-Limit': String(result.limit),
+            'RateLimit-Remaining': String(result.remaining),
+            'RateLimit-Reset': String(result.reset)
+        });
+
+        if (result.allowed) return next();
+
+        onReject(name, req);
+        res.set('Retry-After', String(result.retryAfter));
+        res.status(429).json({
+            error: 'Too Many Requests',
+            message: `Rate limit "${name}" exceeded, retry in ${result.retryAfter}s`,
+            timestamp: new Date().toISOString()
+        });
+    };
+};
+
+module.exports = { rateLimit, TokenBucketLimiter, parseLimit, getClientIp };
@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+
+// Accept nginx's $request_id (or any caller's) when it looks sane, otherwise mint one
+const VALID_REQUEST_ID = /^[\w\-.:]{1,128}$/;
+
+const requestId = () => (req, res, next) => {
+    const incoming = req.get('X-Request-ID');
+    req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-ID', req.id);
+
+    // Every error body carries the request ID so it can be matched to log lines
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body)) {
+            return json({ ...body, requestId: req.id });
+        }
+        return json(body);
+    };
+
+    next();
+};
+
+// One structured access log entry per request, plus req.log for handlers
+const accessLog = (logger) => (req, res, next) => {
+    const start = process.hrtime.bigint();
+    req.log = logger.child({ requestId: req.id });
+
+    res.on('finish', () => {
+        const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+        const level = res.statusCode >= 500 ? 'error' : (res.statusCode >= 400 ? 'warn' : 'info');
+        req.log[level]('request', {
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            status: res.statusCode,
+            durationMs: Math.round(durationMs * 100) / 100,
+            ip: req.ip,
+            user: req.user ? req.user.name : null,
+            userAgent: req.get('User-Agent')
+        });
+    });
+
+    next();
+};
+
+module.exports = { requestId, accessLog };
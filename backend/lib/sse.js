@@ -0,0 +1,44 @@
+// Minimal Server-Sent Events helper
+const openEventStream = (req, res, { heartbeat = 15000 } = {}) => {
+    res.status(200);
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        // Stop nginx from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    const timer = setInterval(() => res.write(': ping\n\n'), heartbeat);
+    const listeners = [];
+
+    const close = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(timer);
+        listeners.forEach(listener => listener());
+        res.end();
+    };
+
+    req.on('close', close);
+
+    return {
+        send(event, data, id) {
+            if (closed) return;
+            if (id !== undefined) res.write(`id: ${id}\n`);
+            res.write(`event: ${event}\n`);
+            res.write(`data: ${JSON.stringify(data)}\n\n`);
+        },
+        onClose(listener) {
+            listeners.push(listener);
+        },
+        close,
+        get closed() {
+            return closed;
+        }
+    };
+};
+
+module.exports = { openEventStream };
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const os = require('os');
+const { logger } = require('./logger');
+
+const CGROUP_V2_ROOT = '/sys/fs/cgroup';
+const CGROUP_V1_MEMORY = '/sys/fs/cgroup/memory';
+
+// Values above this are how cgroup v1 reports "no limit"
+const UNLIMITED_THRESHOLD = 2 ** 60;
+
+const readFileSafe = async (path) => {
+    try {
+        return await fs.promises.readFile(path, 'utf8');
+    } catch (error) {
+        return null;
+    }
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// CPU counters: prefer the aggregate line of /proc/stat, fall back to os.cpus()
+const readCpuTimes = async () => {
+    const stat = await readFileSafe('/proc/stat');
+    if (stat) {
+        const line = stat.split('\n').find(l => l.startsWith('cpu '));
+        if (line) {
+            const values = line.trim().split(/\s+/).slice(1).map(Number);
+            // user nice system idle iowait irq softirq steal
+            const idle = values[3] + (values[4] || 0);
+            const total = values.slice(0, 8).reduce((sum, v) => sum + (v || 0), 0);
+            return { idle, total };
+        }
+    }
+
+    return os.cpus().reduce((acc, cpu) => {
+        const times = cpu.times;
+        acc.idle += times.idle;
+        acc.total += times.user + times.nice + times.sys + times.idle + times.irq;
+        return acc;
+    }, { idle: 0, total: 0 });
+};
+
+const parseMeminfo = (text) => {
+    const info = {};
+    text.split('\n').forEach(line => {
+        const match = line.match(/^(\w+):\s+(\d+)/);
+        if (match) info[match[1]] = Number(match[2]) * 1024;
+    });
+    return info;
+};
+
+// memory.stat holds one "key bytes" pair per line
+const parseMemoryStat = (text) => {
+    const stat = {};
+    (text || '').split('\n').forEach(line => {
+        const [key, value] = line.split(' ');
+        if (key && value !== undefined) stat[key] = Number(value);
+    });
+    return stat;
+};
+
+// The cgroup's usage counts page cache; the inactive part is reclaimable, so it is left
+// out the same way calculateMemory in containerStats.js treats the Docker stats figure
+const readCgroupUsage = async (dir, usageFile, inactiveKey) => {
+    const [usage, stat] = await Promise.all([
+        readFileSafe(`${dir}/${usageFile}`),
+        readFileSafe(`${dir}/memory.stat`)
+    ]);
+    return Math.max(Number(usage) - (parseMemoryStat(stat)[inactiveKey] || 0), 0);
+};
+
+// Memory usage, bounded by the container's cgroup limit when there is one
+const readMemory = async () => {
+    const meminfoText = await readFileSafe('/proc/meminfo');
+    const meminfo = meminfoText ? parseMeminfo(meminfoText) : {};
+    const hostTotal = meminfo.MemTotal || os.totalmem();
+    const hostAvailable = meminfo.MemAvailable !== undefined ? meminfo.MemAvailable : os.freemem();
+
+    let limit = null;
+    let current = null;
+
+    const v2Max = await readFileSafe(`${CGROUP_V2_ROOT}/memory.max`);
+    if (v2Max !== null) {
+        const max = v2Max.trim();
+        limit = max === 'max' ? null : Number(max);
+        current = await readCgroupUsage(CGROUP_V2_ROOT, 'memory.current', 'inactive_file');
+    } else {
+        const v1Limit = await readFileSafe(`${CGROUP_V1_MEMORY}/memory.limit_in_bytes`);
+        if (v1Limit !== null) {
+            const max = Number(v1Limit.trim());
+            limit = max >= UNLIMITED_THRESHOLD ? null : max;
+            current = await readCgroupUsage(CGROUP_V1_MEMORY, 'memory.usage_in_bytes', 'total_inactive_file');
+        }
+    }
+
+    if (limit && Number.isFinite(current)) {
+        const total = Math.min(limit, hostTotal);
+        return { used: current, total, percent: round((current / total) * 100), source: 'cgroup' };
+    }
+
+    const used = hostTotal - hostAvailable;
+    return { used, total: hostTotal, percent: round((used / hostTotal) * 100), source: 'meminfo' };
+};
+
+const readDisk = async (mount) => {
+    const stats = await fs.promises.statfs(mount);
+    const total = stats.blocks * stats.bsize;
+    const free = stats.bavail * stats.bsize;
+    const used = (stats.blocks - stats.bfree) * stats.bsize;
+    // Match df: percentage of the space available to unprivileged users
+    const percent = used + free > 0 ? round((used / (used + free)) * 100) : 0;
+    return { mount, used, total, percent };
+};
+
+class SystemSampler {
+    constructor({ interval = 5000, diskMount = '/' } = {}) {
+        this.interval = interval;
+        this.diskMount = diskMount;
+        this.latest = null;
+        this.previousCpu = null;
+        this.timer = null;
+        this.ready = null;
+    }
+
+    start() {
+        if (this.timer) return this.ready;
+
+        this.ready = this.sample();
+        this.timer = setInterval(() => {
+            this.sample().catch(error => logger.error('System sample failed', { error }));
+        }, this.interval);
+        this.timer.unref();
+
+        return this.ready;
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async sample() {
+        const cpuTimes = await readCpuTimes();
+        let cpu = 0;
+        if (this.previousCpu) {
+            const totalDelta = cpuTimes.total - this.previousCpu.total;
+            const idleDelta = cpuTimes.idle - this.previousCpu.idle;
+            cpu = totalDelta > 0 ? round((1 - idleDelta / totalDelta) * 100) : 0;
+        } else {
+            // First reading has no delta yet; use the average since boot
+            cpu = cpuTimes.total > 0 ? round((1 - cpuTimes.idle / cpuTimes.total) * 100) : 0;
+        }
+        this.previousCpu = cpuTimes;
+
+        const [memory, disk] = await Promise.all([
+            readMemory(),
+            readDisk(this.diskMount).catch(error => ({ mount: this.diskMount, percent: null, error: error.message }))
+        ]);
+
+        this.latest = {
+            cpu,
+            memory: memory.percent,
+            disk: disk.percent,
+            resources: { memory, disk },
+            timestamp: new Date().toISOString()
+        };
+        return this.latest;
+    }
+
+    async getLatest() {
+        if (!this.latest) {
+            await (this.ready || this.start());
+        }
+        return this.latest;
+    }
+}
+
+module.exports = { SystemSampler };
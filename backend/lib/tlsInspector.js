@@ -0,0 +1,180 @@
+const fs = require('fs');
+const tls = require('tls');
+const { X509Certificate } = require('crypto');
+
+const DAY = 24 * 60 * 60 * 1000;
+const SEVERITY = ['valid', 'warning', 'critical', 'expired', 'error'];
+
+const commonName = (distinguishedName) => {
+    const match = /(?:^|\n)CN=([^\n]+)/.exec(distinguishedName || '');
+    return match ? match[1] : distinguishedName || null;
+};
+
+const parseAltNames = (value) => (value ? value.split(', ').map(name => name.replace(/^(DNS|IP Address):/, '')) : []);
+
+const splitPem = (text) => text.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || [];
+
+// System roots plus any private CAs (PEM text) the deployment trusts
+const loadTrustStore = (caPems = []) => {
+    const pems = [...tls.rootCertificates, ...caPems.flatMap(splitPem)];
+    return { pems, certificates: pems.map(pem => new X509Certificate(pem)) };
+};
+
+const isIssuedBy = (certificate, issuer) => certificate.checkIssued(issuer) && certificate.verify(issuer.publicKey);
+
+// Each certificate must be signed by the next, and the last one by a trusted root
+const verifyChain = (chain, trustStore) => {
+    for (let i = 0; i < chain.length - 1; i++) {
+        if (!isIssuedBy(chain[i], chain[i + 1])) {
+            return { valid: false, error: `${commonName(chain[i].subject)} is not signed by ${commonName(chain[i + 1].subject)}` };
+        }
+    }
+
+    const last = chain[chain.length - 1];
+    const trusted = trustStore.certificates.some(root => root.fingerprint256 === last.fingerprint256 || isIssuedBy(last, root));
+    if (trusted) return { valid: true, error: null };
+
+    return {
+        valid: false,
+        error: isIssuedBy(last, last) ? 'self-signed certificate' : 'unable to get issuer certificate'
+    };
+};
+
+const describe = (leaf, chain, { source, type }) => ({
+    source,
+    type,
+    subject: commonName(leaf.subject),
+    issuer: commonName(leaf.issuer),
+    subjectAltNames: parseAltNames(leaf.subjectAltName),
+    serialNumber: leaf.serialNumber,
+    fingerprint256: leaf.fingerprint256,
+    validFrom: new Date(leaf.validFrom).toISOString(),
+    validTo: new Date(leaf.validTo).toISOString(),
+    daysRemaining: Math.floor((Date.parse(leaf.validTo) - Date.now()) / DAY),
+    chain
+});
+
+// First certificate in the file is the leaf, followed by any intermediates
+const inspectPemFile = async (file, { trustStore = loadTrustStore() } = {}) => {
+    const certificates = splitPem(await fs.promises.readFile(file, 'utf8')).map(pem => new X509Certificate(pem));
+    if (!certificates.length) throw new Error(`No PEM certificates found in ${file}`);
+
+    const { valid, error } = verifyChain(certificates, trustStore);
+    return describe(certificates[0], {
+        valid,
+        error,
+        length: certificates.length,
+        issuers: certificates.slice(1).map(certificate => commonName(certificate.subject))
+    }, { source: file, type: 'file' });
+};
+
+// Handshake with "host:port" and report what the server presents
+const inspectHost = (address, { timeout = 5000, trustStore = loadTrustStore() } = {}) => new Promise((resolve, reject) => {
+    const [host, port = '443'] = address.split(':');
+    const socket = tls.connect({ host, port: Number(port), servername: host, ca: trustStore.pems, rejectUnauthorized: false });
+    socket.setTimeout(timeout, () => socket.destroy(new Error(`TLS handshake with ${address} timed out`)));
+
+    socket.once('secureConnect', () => {
+        const leaf = socket.getPeerX509Certificate();
+        const issuers = [];
+        let current = socket.getPeerCertificate(true);
+        while (current.issuerCertificate && current.issuerCertificate !== current) {
+            current = current.issuerCertificate;
+            issuers.push(current.subject && current.subject.CN);
+        }
+        const { authorized, authorizationError } = socket;
+        socket.end();
+
+        if (!leaf) return reject(new Error(`${address} presented no certificate`));
+        resolve(describe(leaf, {
+            valid: authorized,
+            error: authorized ? null : String(authorizationError),
+            length: issuers.length + 1,
+            issuers
+        }, { source: address, type: 'host' }));
+    });
+    socket.once('error', (error) => reject(new Error(`${address}: ${error.message}`)));
+});
+
+// Inspects configured PEM files and TLS endpoints, grading each against expiry
+// thresholds. Results are cached because certificates change rarely.
+class TlsInspector {
+    constructor({ files = [], hosts = [], caFiles = [], warningDays = 30, criticalDays = 7, cacheTtl = 60 * 60 * 1000, timeout = 5000 } = {}) {
+        this.files = files;
+        this.caFiles = caFiles;
+        this.hosts = hosts;
+        this.warningDays = warningDays;
+        this.criticalDays = criticalDays;
+        this.cacheTtl = cacheTtl;
+        this.timeout = timeout;
+        this.cache = null;
+        this.pending = null;
+    }
+
+    get configured() {
+        return this.files.length + this.hosts.length > 0;
+    }
+
+    grade(certificate) {
+        let status = 'valid';
+        if (certificate.daysRemaining < 0) status = 'expired';
+        else if (certificate.daysRemaining < this.criticalDays || !certificate.chain.valid) status = 'critical';
+        else if (certificate.daysRemaining < this.warningDays) status = 'warning';
+        return { ...certificate, status };
+    }
+
+    async inspectAll() {
+        const caPems = [];
+        const caErrors = [];
+        await Promise.all(this.caFiles.map(async (file) => {
+            try {
+                caPems.push(await fs.promises.readFile(file, 'utf8'));
+            } catch (error) {
+                caErrors.push({ source: file, status: 'error', error: `CA bundle: ${error.message}` });
+            }
+        }));
+        const trustStore = loadTrustStore(caPems);
+        const targets = [
+            ...this.files.map(file => [file, () => inspectPemFile(file, { trustStore })]),
+            ...this.hosts.map(address => [address, () => inspectHost(address, { timeout: this.timeout, trustStore })])
+        ];
+
+        const inspected = await Promise.all(targets.map(async ([source, inspect]) => {
+            try {
+                return this.grade(await inspect());
+            } catch (error) {
+                return { source, status: 'error', error: error.message };
+            }
+        }));
+        const certificates = [...caErrors, ...inspected];
+
+        const worst = certificates.reduce((status, certificate) =>
+            (SEVERITY.indexOf(certificate.status) > SEVERITY.indexOf(status) ? certificate.status : status), 'valid');
+
+        return {
+            status: this.configured ? worst : 'unconfigured',
+            thresholds: { warningDays: this.warningDays, criticalDays: this.criticalDays },
+            certificates,
+            checkedAt: new Date().toISOString()
+        };
+    }
+
+    async getSummary({ force = false } = {}) {
+        if (!force && this.cache && Date.now() - Date.parse(this.cache.checkedAt) < this.cacheTtl) {
+            return this.cache;
+        }
+        if (!this.pending) {
+            this.pending = this.inspectAll()
+                .then(summary => {
+                    this.cache = summary;
+                    return summary;
+                })
+                .finally(() => {
+                    this.pending = null;
+                });
+        }
+        return this.pending;
+    }
+}
+
+module.exports = { TlsInspector, inspectPemFile, inspectHost };
@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const WINDOWS = {
+    '1h': HOUR,
+    '24h': DAY,
+    '7d': 7 * DAY,
+    '30d': 30 * DAY
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Probe an HTTP endpoint; any 2xx/3xx response counts as up
+const httpCheck = (url, timeout = 5000) => async () => {
+    const response = await fetch(url, {
+        method: 'GET',
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeout)
+    });
+    return response.status < 400;
+};
+
+// Records health-check rounds to an append-only JSON lines file and
+// derives availability and downtime incidents from that history.
+class UptimeTracker {
+    constructor({ file, interval = 60000, retention = WINDOWS['30d'], checks = {} } = {}) {
+        this.file = file;
+        this.interval = interval;
+        this.retention = retention;
+        this.checks = checks;
+        this.records = [];
+        this.timer = null;
+    }
+
+    async start() {
+        await this.load();
+        await this.runChecks();
+        this.timer = setInterval(() => {
+            this.runChecks().catch(error => logger.error('Uptime check failed', { error }));
+        }, this.interval);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    async load() {
+        let text;
+        try {
+            text = await fs.promises.readFile(this.file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+
+        const cutoff = Date.now() - this.retention;
+        const lines = text.split('\n').filter(line => line.trim());
+        this.records = lines
+            .map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    return null;
+                }
+            })
+            .filter(record => record && record.t >= cutoff);
+
+        // Compact the file when old or corrupt lines were dropped
+        if (this.records.length !== lines.length) {
+            const content = this.records.map(record => JSON.stringify(record)).join('\n');
+            await fs.promises.writeFile(this.file, content ? `${content}\n` : '');
+        }
+    }
+
+    async runChecks() {
+        const names = Object.keys(this.checks);
+        const outcomes = await Promise.all(names.map(async (name) => {
+            try {
+                return [name, Boolean(await this.checks[name]())];
+            } catch (error) {
+                return [name, false];
+            }
+        }));
+
+        return this.record(Object.fromEntries(outcomes));
+    }
+
+    async record(results, t = Date.now()) {
+        const record = { t, results };
+        this.records.push(record);
+
+        const cutoff = t - this.retention;
+        while (this.records.length && this.records[0].t < cutoff) {
+            this.records.shift();
+        }
+
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.promises.appendFile(this.file, `${JSON.stringify(record)}\n`);
+        return record;
+    }
+
+    recordsSince(since) {
+        return this.records.filter(record => record.t >= since);
+    }
+
+    getAvailability(windowMs, now = Date.now()) {
+        const records = this.recordsSince(now - windowMs);
+        const services = {};
+        let upCount = 0;
+
+        records.forEach(record => {
+            const states = Object.entries(record.results);
+            if (states.every(([, up]) => up)) upCount++;
+
+            states.forEach(([name, up]) => {
+                services[name] = services[name] || { up: 0, total: 0 };
+                services[name].total++;
+                if (up) services[name].up++;
+            });
+        });
+
+        return {
+            percentage: records.length ? round((upCount / records.length) * 100) : null,
+            samples: records.length,
+            services: Object.fromEntries(Object.entries(services).map(([name, { up, total }]) => [
+                name,
+                { percentage: round((up / total) * 100), samples: total }
+            ]))
+        };
+    }
+
+    // Contiguous runs of rounds where at least one check failed
+    getIncidents(windowMs, now = Date.now()) {
+        const incidents = [];
+        let current = null;
+
+        this.recordsSince(now - windowMs).forEach(record => {
+            const failing = Object.keys(record.results).filter(name => !record.results[name]);
+
+            if (failing.length) {
+                if (!current) {
+                    current = { start: record.t, end: null, services: new Set() };
+                    incidents.push(current);
+                }
+                failing.forEach(name => current.services.add(name));
+            } else if (current) {
+                current.end = record.t;
+                current = null;
+            }
+        });
+
+        return incidents.map(incident => ({
+            start: new Date(incident.start).toISOString(),
+            end: incident.end ? new Date(incident.end).toISOString() : null,
+            ongoing: incident.end === null,
+            durationMs: (incident.end || now) - incident.start,
+            services: [...incident.services]
+        }));
+    }
+
+    getSummary(now = Date.now()) {
+        const windows = {};
+        Object.entries(WINDOWS).forEach(([label, ms]) => {
+            windows[label] = this.getAvailability(ms, now);
+        });
+
+        const last = this.records[this.records.length - 1];
+        return {
+            windows,
+            incidents: this.getIncidents(this.retention, now),
+            lastCheck: last ? { timestamp: new Date(last.t).toISOString(), results: last.results } : null
+        };
+    }
+}
+
+module.exports = { UptimeTracker, httpCheck, WINDOWS };
@@ -0,0 +1,93 @@
+// Call every read-only route of a running backend and check the responses against
+// the OpenAPI document it serves:
+//   npm run check:openapi
+// Reads from BACKEND_URL (default http://localhost:3000); set API_KEY when anonymous
+// access is disabled. Start the backend with OPENAPI_RESPONSE_VALIDATION=strict to also
+// catch mismatches on routes this script doesn't call. `npm run test:openapi` boots a
+// backend against a fake Docker daemon and runs the same check (test/openapi.test.js).
+const { OpenApiSpec } = require('../lib/openapi');
+
+const isJson = (response) => (response.headers.get('content-type') || '').includes('application/json');
+
+// Streams and plain-text routes can't be checked as JSON
+const isJsonOperation = (operation) => Object.entries(operation.responses || {})
+    .some(([status, response]) => status.startsWith('2') && response.content && response.content['application/json']);
+
+// Required query parameters are filled from their examples; path parameters from sample values
+const buildUrl = (backendUrl, { template, parameters }, samples) => {
+    let path = template;
+    const query = new URLSearchParams();
+    for (const parameter of parameters) {
+        if (parameter.in === 'path') {
+            if (!samples[parameter.name]) return null;
+            path = path.replace(`{${parameter.name}}`, encodeURIComponent(samples[parameter.name]));
+        } else if (parameter.in === 'query' && parameter.required) {
+            if (parameter.example === undefined) return null;
+            query.set(parameter.name, parameter.example);
+        }
+    }
+    const search = query.toString();
+    return `${backendUrl}${path}${search ? `?${search}` : ''}`;
+};
+
+// Resolves with { checked, failures: [{ name, status, errors }] }; `log` gets one line per operation
+const checkOpenApi = async ({ backendUrl, headers = {}, log = () => {} }) => {
+    const specResponse = await fetch(`${backendUrl}/api/v1/openapi.json`, { headers });
+    if (!specResponse.ok) throw new Error(`${backendUrl}/api/v1/openapi.json responded ${specResponse.status}`);
+    const spec = new OpenApiSpec(await specResponse.json());
+
+    // A container id for the /api/v1/containers/{id}/... routes
+    const samples = {};
+    const containers = await fetch(`${backendUrl}/api/v1/containers`, { headers }).then(response => (response.ok ? response.json() : null));
+    if (containers && containers.containers.length) samples.id = containers.containers[0].id;
+
+    const failures = [];
+    let checked = 0;
+    for (const entry of spec.operations.filter(operation => operation.method === 'GET')) {
+        const name = `GET ${entry.template}`;
+        const url = isJsonOperation(entry.operation) ? buildUrl(backendUrl, entry, samples) : null;
+        if (!url) {
+            log(`skip  ${name}`);
+            continue;
+        }
+
+        const response = await fetch(url, { headers });
+        const body = isJson(response) ? await response.json() : null;
+        const errors = body
+            ? spec.validateResponse(entry, response.status, body)
+            : [`expected a JSON body, got ${response.headers.get('content-type')}`];
+        // Server errors only pass when the operation documents them (503 from /readyz);
+        // a backend in strict mode answers mismatches with a 500 carrying the details
+        if (response.status >= 500 && !entry.operation.responses[response.status]) {
+            errors.push(...(body && body.details ? body.details : [`${body ? body.message || body.error : 'server error'}`]));
+        }
+        checked++;
+
+        if (errors.length) {
+            failures.push({ name, status: response.status, errors });
+            log(`FAIL  ${name} ${response.status}`);
+            errors.forEach(error => log(`        ${error}`));
+        } else {
+            log(`ok    ${name} ${response.status}`);
+        }
+    }
+    return { checked, failures };
+};
+
+const main = async () => {
+    const backendUrl = (process.env.BACKEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+    const headers = process.env.API_KEY ? { 'X-API-Key': process.env.API_KEY } : {};
+    const { checked, failures } = await checkOpenApi({ backendUrl, headers, log: line => console.log(line) });
+
+    console.log(`\n${checked - failures.length}/${checked} responses match ${backendUrl}/api/v1/openapi.json`);
+    if (failures.length) process.exit(1);
+};
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(`OpenAPI check failed: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { checkOpenApi };
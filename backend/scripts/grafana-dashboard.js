@@ -0,0 +1,27 @@
+// Save the backend's Grafana dashboard where provisioning picks it up:
+//   npm run grafana-dashboard [-- <output file>]
+// Reads GET /api/v1/grafana/dashboard from a running backend (BACKEND_URL, default
+// http://localhost:3000); set API_KEY when anonymous access is disabled.
+const fs = require('fs');
+const path = require('path');
+
+const backendUrl = (process.env.BACKEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+const output = process.argv[2] || path.join(__dirname, '..', '..', 'grafana', 'dashboards', 'backend-dashboard.json');
+
+const main = async () => {
+    const response = await fetch(`${backendUrl}/api/v1/grafana/dashboard`, {
+        headers: process.env.API_KEY ? { 'X-API-Key': process.env.API_KEY } : {}
+    });
+    if (!response.ok) {
+        throw new Error(`${backendUrl} responded ${response.status}: ${await response.text()}`);
+    }
+
+    const dashboard = await response.json();
+    fs.writeFileSync(output, `${JSON.stringify(dashboard, null, 2)}\n`);
+    console.log(`Wrote ${dashboard.panels.length} panels to ${output}`);
+};
+
+main().catch((error) => {
+    console.error(`Failed to generate dashboard: ${error.message}`);
+    process.exit(1);
+});
@@ -1,22 +1,182 @@
 const express = require('express');
 const cors = require('cors');
-const { exec } = require('child_process');
-const { promisify } = require('util');
+const { SystemSampler } = require('./lib/systemSampler');
+const { metricsMiddleware, metricsHandler, alertNotificationsTotal, rateLimitRejectedTotal, cacheLookupsTotal, registerHealthCheckMetrics } = require('./lib/metrics');
+const { UptimeTracker, httpCheck, WINDOWS } = require('./lib/uptimeTracker');
+const { DockerClient } = require('./lib/dockerClient');
+const { AuditLog } = require('./lib/auditLog');
+const { ContainerActions } = require('./lib/containerActions');
+const { Authenticator, loadCredentials, requireRole, hasRole, SESSION_COOKIE } = require('./lib/auth');
+const { openEventStream } = require('./lib/sse');
+const { parseSince, createLineFilter, readLogLines } = require('./lib/containerLogs');
+const { summarizeStats } = require('./lib/containerStats');
+const { EventHub } = require('./lib/eventHub');
+const { watchContainerEvents } = require('./lib/dockerEvents');
+const { WebSocketServer } = require('ws');
+const fs = require('fs');
+const path = require('path');
+const { AlertEngine, DEFAULT_RULES } = require('./lib/alertEngine');
+const { createNotifiers } = require('./lib/notifiers');
+const { rateLimit } = require('./lib/rateLimiter');
+const { logger } = require('./lib/logger');
+const { requestId, accessLog } = require('./lib/requestLogging');
+const { loadConfig, redact } = require('./lib/config');
+const { Lifecycle } = require('./lib/lifecycle');
+const { HealthCheckRegistry, httpProbe, tcpProbe, dockerProbe, diskSpaceCheck } = require('./lib/healthChecks');
+const { TlsInspector } = require('./lib/tlsInspector');
+const { MetricsHistory, HistoryQueryError } = require('./lib/metricsHistory');
+const { parseDuration } = require('./lib/duration');
+const { ComposeStack } = require('./lib/composeStack');
+const { PrometheusClient } = require('./lib/prometheusClient');
+const { ContainerInsights } = require('./lib/containerInsights');
+const { buildDashboard, listRoutes } = require('./lib/grafanaDashboard');
+const { OpenApiSpec } = require('./lib/openapi');
+const { errorEnvelope, deprecatedAlias, canonicalPath } = require('./lib/apiVersioning');
+const { parseContainerQuery, queryContainers } = require('./lib/containerQuery');
+const { Cache } = require('./lib/cache');
+const { cacheControl, conditionalGet } = require('./lib/httpCache');
+
+// Defaults < config file (CONFIG_FILE or ./config.yaml) < environment
+let config;
+try {
+    config = loadConfig();
+} catch (error) {
+    logger.error('Invalid configuration', { problems: error.errors || [error.message] });
+    process.exit(1);
+}
+logger.configure(config.logging);
 
 const app = express();
-const execAsync = promisify(exec);
-const PORT = process.env.PORT || 3000;
+// Every /api route, served at /api/v1 and (deprecated) at the unversioned /api
+const api = express.Router();
+// Expensive reads (Docker, Prometheus, the status/metrics payloads) with per-source TTLs;
+// hits, misses and coalesced lookups are counted in /metrics
+const cache = new Cache({
+    ttls: config.cache,
+    onLookup: (source, outcome) => cacheLookupsTotal.inc({ source, outcome })
+});
+const docker = new DockerClient({ ...config.docker, cache });
+const PORT = config.server.port;
+
+// Readiness (Docker socket reachable) and graceful shutdown on SIGTERM/SIGINT
+const lifecycle = new Lifecycle({
+    timeout: config.shutdown.timeout,
+    drainDelay: config.shutdown.drainDelay,
+    checks: { docker: () => docker.ping() }
+});
+
+// Declared compose services vs. the containers actually running for the project
+const composeStack = new ComposeStack({ docker, ...config.stack });
+
+// Lifecycle actions are limited to these compose services of the stack's project
+const containerActions = new ContainerActions({
+    docker,
+    stack: composeStack,
+    auditLog: new AuditLog({ file: config.audit.file }),
+    allowedServices: config.containers.allowedServices,
+    stopTimeout: config.containers.stopTimeout,
+    maxStopTimeout: config.containers.maxStopTimeout
+});
+
+// Container insights from the cAdvisor metrics Prometheus already scrapes
+const containerInsights = new ContainerInsights({
+    prometheus: new PrometheusClient(config.prometheus),
+    limit: config.insights.limit,
+    rateWindow: config.insights.rateWindow,
+    restartThreshold: config.insights.restartThreshold
+});
+
+// API keys, user sessions and roles (viewer < operator < admin)
+const authenticator = new Authenticator({
+    credentials: loadCredentials({
+        usersFile: config.auth.usersFile,
+        apiKeys: config.auth.apiKeys,
+        actionsToken: config.auth.actionsToken
+    }),
+    secret: config.auth.jwtSecret,
+    sessionTtl: config.auth.sessionTtl,
+    anonymousRole: config.auth.anonymousRole === 'none' ? null : config.auth.anonymousRole
+});
+
+// Browsers are served same-origin through nginx; other origins must be listed
+const corsOrigins = config.cors.origins;
+
+// Resource sampler shared by /health, /api/metrics and /api/system
+const systemSampler = new SystemSampler(config.sampler);
+systemSampler.start();
+
+// container.<service>.cpu / .memory for every running container
+const collectContainerGauges = async () => {
+    // Docker being unreachable is already reported by /health and /readyz
+    const containers = await docker.listContainers().catch(() => []);
+    const gauges = await Promise.all(containers.map(async (container) => {
+        const service = container.labels['com.docker.compose.service'] || container.name;
+        try {
+            const stats = summarizeStats(await docker.stats(container.id));
+            return [[`container.${service}.cpu`, stats.cpuPercent], [`container.${service}.memory`, stats.memory.percent]];
+        } catch (error) {
+            return [];
+        }
+    }));
+    return Object.fromEntries(gauges.flat());
+};
+
+// Request and resource time series (1s -> 1m -> 1h) persisted under history.dir
+const metricsHistory = new MetricsHistory({
+    dir: config.history.dir,
+    retention: {
+        second: config.history.secondRetention,
+        minute: config.history.minuteRetention,
+        hour: config.history.hourRetention
+    },
+    maxPoints: config.history.maxPoints,
+    collectors: [
+        { interval: config.sampler.interval, collect: () => systemSampler.getLatest() },
+        { interval: config.history.containerInterval, collect: () => collectContainerGauges() }
+    ]
+});
+metricsHistory.start().catch(error => logger.error('Failed to start metrics history', { error }));
+
+// API description served at /api/v1/openapi.json; also used to validate requests (and responses in test mode)
+const openApiSpec = OpenApiSpec.load(path.join(__dirname, 'openapi.yaml'));
+
+// Which proxies may set X-Forwarded-For / X-Real-IP (nginx sits on the private compose network)
+const parseTrustProxy = (value) => {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (/^\d+$/.test(value)) return Number(value);
+    return value;
+};
+app.set('trust proxy', parseTrustProxy(config.server.trustProxy));
+
+// Per-client token-bucket limits; Docker-backed and sensitive routes get tighter ones
+const limitOptions = { onReject: (name) => rateLimitRejectedTotal.inc({ limit: name }) };
+const limits = {
+    api: rateLimit({ name: 'api', limit: config.rateLimits.api, ...limitOptions }),
+    docker: rateLimit({ name: 'docker', limit: config.rateLimits.docker, ...limitOptions }),
+    actions: rateLimit({ name: 'actions', limit: config.rateLimits.actions, ...limitOptions }),
+    login: rateLimit({ name: 'login', limit: config.rateLimits.login, ...limitOptions })
+};
 
 // Middleware
-app.use(cors());
+app.use(requestId());
+app.use(accessLog(logger));
+// Ahead of the shutdown gate and rate limiter so their 503s and 429s are counted too
+app.use(metricsMiddleware);
+app.use('/api/v1', errorEnvelope());
+app.use(lifecycle.middleware());
+app.use(cors({
+    origin: (origin, callback) => callback(null, !origin || corsOrigins.includes(origin)),
+    credentials: true
+}));
+app.use('/api', limits.api);
 app.use(express.json());
+app.use(authenticator.middleware());
 
 // Global metrics
 let serverMetrics = {
     startTime: Date.now(),
-    requestCount: 0,
-    totalResponseTime: 0,
-    responseTimeCount: 0
+    requestCount: 0
 };
 
 // Track requests
@@ -25,14 +185,18 @@ app.use((req, res, next) => {
     serverMetrics.requestCount++;
     
     res.on('finish', () => {
-        const responseTime = Date.now() - start;
-        serverMetrics.totalResponseTime += responseTime;
-        serverMetrics.responseTimeCount++;
+        metricsHistory.recordRequest(Date.now() - start, res.statusCode);
     });
     
     next();
 });
 
+// Check requests (and, in test mode, responses) against openapi.yaml
+if (config.openapi.responseValidation !== 'off') {
+    app.use(openApiSpec.responseValidator({ mode: config.openapi.responseValidation, logger }));
+}
+if (config.openapi.requestValidation) app.use(openApiSpec.requestValidator({ resolvePath: canonicalPath }));
+
 // Helper functions
 const getUptime = () => {
     const uptime = Date.now() - serverMetrics.startTime;
@@ -43,42 +207,38 @@ const getUptime = () => {
     return `${minutes}m`;
 };
 
+// Average over the last five minutes so recent spikes show up
 const getAverageResponseTime = () => {
-    return serverMetrics.responseTimeCount > 0 
-        ? Math.round(serverMetrics.totalResponseTime / serverMetrics.responseTimeCount)
-        : 0;
+    return Math.round(metricsHistory.summarize(5 * 60 * 1000).response_time_avg || 0);
 };
 
 const checkDockerStatus = async () => {
     try {
-        const { stdout } = await execAsync('docker ps --format "table {{.Names}}\\t{{.Status}}"');
-        const containers = stdout.split('\n').slice(1).filter(line => line.trim());
+        const containers = await docker.listContainers();
         return {
             running: containers.length > 0,
             containerCount: containers.length,
-            containers: containers.map(line => {
-                const [name, status] = line.split('\t');
-                return { name: name?.trim(), status: status?.trim() };
-            })
+            containers: containers.map(({ id, name, image, state, status, health, restartCount }) => ({
+                id, name, image, state, status, health, restartCount
+            }))
         };
     } catch (error) {
-        return { running: false, containerCount: 0, containers: [] };
+        return { running: false, containerCount: 0, containers: [], error: error.message };
     }
 };
 
 const getSystemHealth = async () => {
+    const { thresholds } = config.health;
     try {
-        // Simulate system metrics (replace with real monitoring in production)
-        const cpu = Math.floor(Math.random() * 30) + 10; // 10-40%
-        const memory = Math.floor(Math.random() * 40) + 30; // 30-70%
-        const disk = Math.floor(Math.random() * 20) + 20; // 20-40%
+        const { cpu, memory, disk, resources, timestamp } = await systemSampler.getLatest();
         
         return {
-            healthy: cpu < 80 && memory < 85 && disk < 90,
+            healthy: cpu < thresholds.cpu && memory < thresholds.memory && (disk === null || disk < thresholds.disk),
             cpu,
             memory,
             disk,
-            timestamp: new Date().toISOString()
+            resources,
+            timestamp
         };
     } catch (error) {
         return {
@@ -89,29 +249,68 @@ const getSystemHealth = async () => {
     }
 };
 
-// API Routes matching your frontend expectations
-
-// Health check endpoint (used by frontend health check)
-app.get('/health', async (req, res) => {
-    const health = await getSystemHealth();
-    res.status(health.healthy ? 200 : 503).json({
-        status: health.healthy ? 'healthy' : 'unhealthy',
-        timestamp: health.timestamp,
-        details: health
-    });
+// Availability history for nginx, frontend and this app
+const uptimeTracker = new UptimeTracker({
+    file: config.uptime.dataFile,
+    interval: config.uptime.interval,
+    checks: {
+        nginx: httpCheck(config.uptime.nginxUrl),
+        frontend: httpCheck(config.uptime.frontendUrl),
+        app: async () => (await getSystemHealth()).healthy
+    }
 });
+uptimeTracker.start().catch(error => logger.error('Failed to start uptime tracker', { error }));
 
-// Main status endpoint for status cards
-app.get('/api/status', async (req, res) => {
+// Certificate expiry and chain checks for the SSL card
+const tlsInspector = new TlsInspector(config.tls);
+
+// Dependency checks reported by /health; failing critical checks make it return 503
+const healthChecks = new HealthCheckRegistry(config.healthChecks);
+const checkOptions = (name, description) => ({ critical: config.healthChecks.critical.includes(name), description });
+healthChecks
+    .register('frontend', httpProbe(config.uptime.frontendUrl), checkOptions('frontend', 'Frontend HTTP service'))
+    .register('prometheus', tcpProbe(config.healthChecks.prometheusAddress), checkOptions('prometheus', 'Prometheus TCP port'))
+    .register('grafana', tcpProbe(config.healthChecks.grafanaAddress), checkOptions('grafana', 'Grafana TCP port'))
+    .register('docker', dockerProbe(docker), checkOptions('docker', 'Docker daemon API'))
+    .register('disk', diskSpaceCheck(systemSampler, config.health.thresholds.disk), checkOptions('disk', 'Free disk space'))
+    .register('resources', async () => {
+        const health = await getSystemHealth();
+        const details = { cpu: health.cpu, memory: health.memory, thresholds: config.health.thresholds };
+        if (!health.healthy) throw Object.assign(new Error('CPU or memory above threshold'), { details });
+        return details;
+    }, checkOptions('resources', 'CPU and memory usage'));
+if (tlsInspector.configured) {
+    healthChecks.register('tls', async () => {
+        const { status, certificates } = await tlsInspector.getSummary();
+        const failing = certificates.filter(certificate => !['valid', 'warning'].includes(certificate.status));
+        if (failing.length) {
+            throw new Error(failing.map(certificate => `${certificate.source}: ${certificate.error || certificate.status}`).join('; '));
+        }
+        return { status, certificates: certificates.length };
+    }, checkOptions('tls', 'TLS certificates'));
+}
+registerHealthCheckMetrics(healthChecks);
+
+// Payload for the status cards
+const SSL_CARD_STATUS = {
+    valid: 'online',
+    warning: 'degraded',
+    critical: 'offline',
+    expired: 'offline',
+    error: 'offline',
+    unconfigured: 'unknown'
+};
+
+const buildStatus = async () => {
     const dockerStatus = await checkDockerStatus();
-    const health = await getSystemHealth();
+    const [dependencies, certificates] = await Promise.all([healthChecks.runAll(), tlsInspector.getSummary()]);
     const hoursRunning = (Date.now() - serverMetrics.startTime) / (1000 * 60 * 60);
     const requestsPerHour = hoursRunning > 0 ? Math.round(serverMetrics.requestCount / hoursRunning) : 0;
     
-    res.json({
+    return {
         server: {
             status: 'online',
-            version: '1.0.0',
+            version: config.server.version,
             uptime: getUptime()
         },
         services: {
@@ -124,12 +323,16 @@ app.get('/api/status', async (req, res) => {
                 containers: dockerStatus.containerCount
             },
             healthCheck: {
-                status: health.healthy ? 'online' : 'degraded',
-                lastCheck: health.timestamp
+                status: { healthy: 'online', degraded: 'degraded', unhealthy: 'offline' }[dependencies.status],
+                failing: dependencies.checks.filter(check => check.status === 'fail').map(check => check.name),
+                lastCheck: dependencies.checks.map(check => check.checkedAt).sort().pop() || null
             },
             ssl: {
-                status: 'online',
-                certificate: 'valid'
+                status: SSL_CARD_STATUS[certificates.status],
+                certificate: certificates.status,
+                thresholds: certificates.thresholds,
+                certificates: certificates.certificates,
+                lastCheck: certificates.checkedAt
             }
         },
         metrics: {
@@ -138,22 +341,21 @@ app.get('/api/status', async (req, res) => {
             requestsPerHour: `${requestsPerHour.toLocaleString()}`
         },
         timestamp: new Date().toISOString()
-    });
-});
+    };
+};
 
-// Detailed metrics endpoint
-app.get('/api/metrics', async (req, res) => {
+// Detailed metrics payload
+const buildMetrics = async () => {
     const health = await getSystemHealth();
     const dockerStatus = await checkDockerStatus();
     const uptimeMs = Date.now() - serverMetrics.startTime;
     const hoursRunning = uptimeMs / (1000 * 60 * 60);
+    const availability = uptimeTracker.getAvailability(WINDOWS['24h']);
     
-    // Calculate uptime percentage (simulated - in production use actual downtime data)
-    const uptimePercentage = Math.max(99.0, 100 - (Math.random() * 1));
-    
-    res.json({
+    return {
         uptime: {
-            percentage: Math.round(uptimePercentage * 10) / 10,
+            percentage: availability.percentage,
+            window: '24h',
             duration: getUptime(),
             startTime: new Date(serverMetrics.startTime).toISOString()
         },
@@ -174,25 +376,338 @@ app.get('/api/metrics', async (req, res) => {
             containers: dockerStatus.containers
         },
         timestamp: new Date().toISOString()
+    };
+};
+
+// Every tab polling /status and the event stream share one build per TTL
+const getStatus = () => cache.get('status', 'payload', buildStatus);
+const getMetrics = () => cache.get('metrics', 'payload', buildMetrics);
+
+// Push channel shared by /api/events (SSE) and /api/events/ws (WebSocket)
+const eventHub = new EventHub({
+    interval: config.events.interval,
+    sources: { status: getStatus, metrics: getMetrics }
+});
+
+// Docker events are only followed while someone is listening
+let stopWatchingDocker = null;
+eventHub.on('active', () => {
+    stopWatchingDocker = watchContainerEvents(docker, (event) => {
+        cache.invalidate('containers', 'status', 'metrics');
+        eventHub.publish('container', event);
+        eventHub.refresh('status').catch(() => {});
+    });
+});
+eventHub.on('idle', () => {
+    if (stopWatchingDocker) stopWatchingDocker();
+    stopWatchingDocker = null;
+});
+
+// Alert rules come from alerts.rulesFile (a JSON array) when set
+const loadAlertRules = () => {
+    if (!config.alerts.rulesFile) return DEFAULT_RULES;
+    return JSON.parse(fs.readFileSync(config.alerts.rulesFile, 'utf8'));
+};
+
+const alertNotifierConfigs = () => {
+    const { webhookUrl, slackWebhookUrl, slackChannel, smtpUrl, emailFrom, emailTo } = config.alerts;
+    const configs = [];
+    if (webhookUrl) {
+        configs.push({ type: 'webhook', url: webhookUrl });
+    }
+    if (slackWebhookUrl) {
+        configs.push({ type: 'slack', url: slackWebhookUrl, channel: slackChannel });
+    }
+    if (smtpUrl) {
+        configs.push({ type: 'email', smtpUrl, from: emailFrom, to: emailTo });
+    }
+    return configs;
+};
+
+const alertEngine = new AlertEngine({
+    rules: loadAlertRules(),
+    notifiers: createNotifiers(alertNotifierConfigs()),
+    interval: config.alerts.evalInterval,
+    repeatInterval: config.alerts.repeatInterval,
+    collect: async () => ({
+        health: await getSystemHealth(),
+        containers: await docker.listContainers({ all: true }).catch(() => null)
+    })
+});
+alertEngine.on('notified', ({ notifier, status }) => {
+    alertNotificationsTotal.inc({ notifier, status, outcome: 'success' });
+});
+alertEngine.on('notifyFailed', ({ notifier, status }) => {
+    alertNotificationsTotal.inc({ notifier, status, outcome: 'failure' });
+});
+alertEngine.on('transition', (transition) => eventHub.publish('alert', transition));
+alertEngine.start().catch(error => logger.error('Failed to start alert engine', { error }));
+
+// API Routes matching your frontend expectations
+
+// GET responses revalidate with ETags (304 when unchanged) unless a route allows reuse
+api.use(cacheControl(), conditionalGet());
+
+// Session login: returns the JWT and sets it as an HttpOnly cookie for browsers
+api.post('/auth/login', limits.login, (req, res) => {
+    const { username, password } = req.body || {};
+    const session = authenticator.login(username, password);
+    
+    if (!session) {
+        return res.status(401).json({
+            error: 'Unauthorized',
+            message: 'Invalid username or password',
+            timestamp: new Date().toISOString()
+        });
+    }
+    
+    res.cookie(SESSION_COOKIE, session.token, {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: req.get('X-Forwarded-Proto') === 'https' || req.secure,
+        path: '/'
+    });
+    res.json({ ...session, timestamp: new Date().toISOString() });
+});
+
+api.post('/auth/logout', (req, res) => {
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+    res.status(204).end();
+});
+
+api.get('/auth/me', requireRole('viewer'), (req, res) => {
+    res.json({ user: req.user, timestamp: new Date().toISOString() });
+});
+
+// Dashboard settings are public; admins also get the full effective config with secrets redacted
+api.get('/config', (req, res) => {
+    res.json({
+        frontend: { ...config.frontend, actionServices: config.containers.allowedServices },
+        version: config.server.version,
+        ...(hasRole(req.user, 'admin') ? { effective: redact(config), source: config.source } : {}),
+        timestamp: new Date().toISOString()
+    });
+});
+
+// OpenAPI 3.1 document for every route below, rendered by the frontend's docs.html
+api.get('/openapi.json', (req, res) => {
+    res.json({
+        ...openApiSpec.document,
+        info: { ...openApiSpec.document.info, version: config.server.version }
+    });
+});
+
+// Health check endpoint (used by frontend health check)
+// Probes always answer: a failure to run the checks is itself reported as unhealthy
+app.get('/health', async (req, res) => {
+    try {
+        const [health, { status, checks }] = await Promise.all([getSystemHealth(), healthChecks.runAll()]);
+        res.status(status === 'unhealthy' ? 503 : 200).json({
+            status,
+            checks,
+            timestamp: new Date().toISOString(),
+            details: health
+        });
+    } catch (error) {
+        const timestamp = new Date().toISOString();
+        res.status(503).json({
+            status: 'unhealthy',
+            checks: [],
+            error: error.message,
+            timestamp,
+            details: { healthy: false, error: error.message, timestamp }
+        });
+    }
+});
+
+// Liveness: the process is up and serving requests
+app.get('/livez', (req, res) => {
+    const liveness = lifecycle.liveness();
+    res.status(liveness.status === 'alive' ? 200 : 503).json(liveness);
+});
+
+// Readiness: dependencies reachable and not shutting down
+app.get('/readyz', async (req, res) => {
+    try {
+        const readiness = await lifecycle.readiness();
+        res.status(readiness.ready ? 200 : 503).json(readiness);
+    } catch (error) {
+        res.status(503).json({
+            ready: false,
+            state: lifecycle.state,
+            checks: {},
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Prometheus scrape endpoint (text exposition format)
+app.get('/metrics', metricsHandler);
+
+// Grafana dashboard covering every registered route; `npm run grafana-dashboard` saves it for provisioning
+api.get('/grafana/dashboard', requireRole('viewer'), (req, res) => {
+    res.json(buildDashboard({
+        routes: [...listRoutes(app), ...listRoutes(api, '/api/v1')],
+        version: config.server.version
+    }));
+});
+
+// Main status endpoint for status cards
+// A failed build rejects for every caller sharing it; each still gets an error response
+// (never reused, unlike the payload)
+const sendPayload = (load, error) => async (req, res) => {
+    try {
+        res.json(await load());
+    } catch (err) {
+        res.set('Cache-Control', 'no-store');
+        res.status(err.statusCode || 500).json({
+            error,
+            message: err.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
+api.get('/status', requireRole('viewer'), cacheControl(config.cache.status), sendPayload(getStatus, 'Failed to build status'));
+
+// Detailed metrics endpoint
+api.get('/metrics', requireRole('viewer'), limits.docker, cacheControl(config.cache.metrics), sendPayload(getMetrics, 'Failed to build metrics'));
+
+// "from"/"to" accept epoch ms, ISO dates or a duration meaning that long ago ("24h")
+const parseTime = (value, fallback) => {
+    if (value === undefined || value === '') return fallback;
+    if (/^\d+$/.test(value)) return Number(value);
+    if (/^\d+(ms|s|m|h|d)$/.test(value)) return Date.now() - parseDuration(value);
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) throw new HistoryQueryError(`Invalid time "${value}"`);
+    return time;
+};
+
+// Time series for one metric, e.g. ?metric=response_time_p95&from=24h&step=5m
+api.get('/metrics/history', requireRole('viewer'), (req, res) => {
+    try {
+        const now = Date.now();
+        const { metric, step } = req.query;
+        let stepMs;
+        try {
+            stepMs = step ? parseDuration(/^\d+$/.test(step) ? Number(step) : step) : undefined;
+        } catch (error) {
+            throw new HistoryQueryError(`Invalid step "${step}"`);
+        }
+
+        res.json({
+            ...metricsHistory.query({
+                metric,
+                from: parseTime(req.query.from, now - 60 * 60 * 1000),
+                to: parseTime(req.query.to, now),
+                step: stepMs
+            }),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({
+            error: error.statusCode ? 'Invalid history query' : 'Failed to query metrics history',
+            message: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// SSE responses are closed by the server when it starts draining
+const openTrackedStream = (req, res) => {
+    const events = openEventStream(req, res);
+    events.onClose(lifecycle.trackStream(() => {
+        events.send('shutdown', { reason: 'server shutting down' });
+        events.close();
+    }));
+    return events;
+};
+
+// Server-sent stream of status, metrics and container events
+api.get('/events', requireRole('viewer'), (req, res) => {
+    const events = openTrackedStream(req, res);
+    eventHub.snapshot().forEach(({ id, type, data }) => events.send(type, data, id));
+    events.onClose(eventHub.subscribe(({ id, type, data }) => events.send(type, data, id)));
+});
+
+// Alert rules, active alerts, recently resolved alerts and silences
+api.get('/alerts', requireRole('viewer'), (req, res) => {
+    res.json({
+        ...alertEngine.getState(),
+        timestamp: new Date().toISOString()
     });
 });
 
-// Docker container details
-app.get('/api/containers', async (req, res) => {
+api.post('/alerts/silences', requireRole('operator'), (req, res) => {
     try {
-        const { stdout } = await execAsync('docker ps -a --format "{{json .}}"');
-        const containers = stdout.split('\n')
-            .filter(line => line.trim())
-            .map(line => JSON.parse(line));
+        const silence = alertEngine.addSilence({ ...req.body, createdBy: req.user.name });
+        res.status(201).json(silence);
+    } catch (error) {
+        res.status(400).json({
+            error: 'Invalid silence',
+            message: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+api.delete('/alerts/silences/:id', requireRole('operator'), (req, res) => {
+    if (!alertEngine.removeSilence(req.params.id)) {
+        return res.status(404).json({
+            error: 'Silence not found',
+            timestamp: new Date().toISOString()
+        });
+    }
+    res.status(204).end();
+});
+
+// Availability over rolling windows with downtime incidents
+api.get('/uptime', requireRole('viewer'), (req, res) => {
+    res.json({
+        ...uptimeTracker.getSummary(),
+        startTime: new Date(serverMetrics.startTime).toISOString(),
+        timestamp: new Date().toISOString()
+    });
+});
+
+// v1 lists are paged by default; the deprecated aliases return everything unless ?limit= is given
+const pageOptions = (req) => ({
+    defaultLimit: req.apiVersion === 'v1' ? config.api.pageSize : Infinity,
+    maxLimit: config.api.maxPageSize
+});
+
+// ?state=, ?name= and ?service= filters for the container lists
+const parseContainerFilters = (req, res) => {
+    try {
+        return parseContainerQuery(req.query, pageOptions(req));
+    } catch (error) {
+        res.status(400).json({
+            error: 'Invalid container query',
+            message: error.message,
+            timestamp: new Date().toISOString()
+        });
+        return null;
+    }
+};
+
+// Docker container details, filtered and paged with ?limit= and the previous page's nextCursor
+api.get('/containers', requireRole('viewer'), limits.docker, async (req, res) => {
+    const query = parseContainerFilters(req, res);
+    if (!query) return;
+
+    try {
+        const { containers, matches, nextCursor } = queryContainers(await docker.listContainers({ all: true }), query);
         
         res.json({
             containers,
-            total: containers.length,
-            running: containers.filter(c => c.State === 'running').length,
+            total: matches.length,
+            running: matches.filter(c => c.state === 'running').length,
+            nextCursor,
             timestamp: new Date().toISOString()
         });
     } catch (error) {
-        res.status(500).json({
+        res.status(error.statusCode || 500).json({
             error: 'Failed to fetch containers',
             message: error.message,
             timestamp: new Date().toISOString()
@@ -200,8 +715,192 @@ app.get('/api/containers', async (req, res) => {
     }
 });
 
+// Compose project view: declared vs. actual services, dependencies, ports and networks
+api.get('/stack', requireRole('viewer'), limits.docker, async (req, res) => {
+    try {
+        res.json({
+            ...await composeStack.getStack(),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({
+            error: 'Failed to fetch stack',
+            message: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Top CPU/memory consumers and restart spikes over ?window= (default 1h)
+api.get('/insights/containers', requireRole('viewer'), async (req, res) => {
+    let window = 60 * 60 * 1000;
+    try {
+        if (req.query.window) window = parseDuration(req.query.window);
+    } catch (error) {
+        window = NaN;
+    }
+    if (!(window > 0) || window > config.insights.maxWindow) {
+        return res.status(400).json({
+            error: 'Invalid insights query',
+            message: `"window" must be a duration up to ${config.insights.maxWindow}ms`,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    try {
+        res.json({
+            ...await cache.get('insights', String(window), () => containerInsights.getSummary({ window })),
+            source: config.prometheus.url,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({
+            error: 'Failed to fetch container insights',
+            message: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+const getContainerStats = async (container) => ({
+    id: container.id,
+    name: container.name,
+    service: container.labels['com.docker.compose.service'] || null,
+    ...summarizeStats(await docker.stats(container.id))
+});
+
+// Resource usage for running containers; filtered and paged like /containers, so only one page is sampled
+api.get('/containers/stats', requireRole('viewer'), limits.docker, async (req, res) => {
+    const query = parseContainerFilters(req, res);
+    if (!query) return;
+
+    try {
+        const { containers, matches, nextCursor } = queryContainers(await docker.listContainers(), query);
+        const results = await Promise.all(containers.map(container =>
+            getContainerStats(container).catch(error => ({
+                id: container.id,
+                name: container.name,
+                error: error.message
+            }))
+        ));
+        
+        res.json({
+            containers: results,
+            total: matches.length,
+            nextCursor,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({
+            error: 'Failed to fetch container stats',
+            message: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Resource usage for a single container
+api.get('/containers/:id/stats', requireRole('viewer'), limits.docker, async (req, res) => {
+    try {
+        const container = await composeStack.findContainer(req.params.id);
+        
+        res.json({
+            ...await getContainerStats(container),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({
+            error: 'Failed to fetch container stats',
+            message: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Container logs streamed as Server-Sent Events
+api.get('/containers/:id/logs', requireRole('operator'), async (req, res) => {
+    let since;
+    let matches;
+    try {
+        since = parseSince(req.query.since);
+        if (req.query.regex === 'true') throw new Error('Regex filters are not supported; filter matches plain text');
+        matches = createLineFilter(req.query.filter);
+    } catch (error) {
+        return res.status(400).json({
+            error: 'Invalid log query',
+            message: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    const tail = req.query.tail === 'all' ? 'all' : (parseInt(req.query.tail, 10) || 100);
+    const follow = req.query.follow === 'true';
+
+    let container;
+    let source;
+    try {
+        container = await composeStack.findContainer(req.params.id);
+        source = await docker.logs(container.id, { tail, since, follow });
+    } catch (error) {
+        return res.status(error.statusCode || 500).json({
+            error: 'Failed to fetch container logs',
+            message: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    const events = openTrackedStream(req, res);
+    events.onClose(() => source.destroy());
+    events.send('container', { id: container.id, name: container.name, follow });
+
+    readLogLines(source, {
+        tty: container.tty,
+        onLine: (line) => {
+            if (matches(line.message)) events.send('log', line);
+        }
+    });
+    source.on('end', () => {
+        events.send('end', { reason: 'stream closed' });
+        events.close();
+    });
+    source.on('error', (error) => {
+        events.send('log-error', { message: error.message });
+        events.close();
+    });
+});
+
+// Container lifecycle actions (start, stop, restart, remove)
+const handleContainerAction = (action) => async (req, res) => {
+    try {
+        const timeout = req.query.t !== undefined ? Number(req.query.t) : undefined;
+        const result = await containerActions.perform(action, req.params.id, {
+            actor: req.user.name,
+            timeout,
+            force: req.query.force === 'true'
+        });
+        cache.invalidate('status', 'metrics');
+        
+        res.json({
+            ...result,
+            status: 'ok',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(error.statusCode || 500).json({
+            error: `Failed to ${action} container`,
+            message: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
+api.post('/containers/:id/start', requireRole('operator'), limits.actions, handleContainerAction('start'));
+api.post('/containers/:id/stop', requireRole('operator'), limits.actions, handleContainerAction('stop'));
+api.post('/containers/:id/restart', requireRole('operator'), limits.actions, handleContainerAction('restart'));
+api.delete('/containers/:id', requireRole('operator'), limits.actions, handleContainerAction('remove'));
+
 // System information
-app.get('/api/system', async (req, res) => {
+api.get('/system', requireRole('admin'), async (req, res) => {
     try {
         const health = await getSystemHealth();
         
@@ -226,30 +925,90 @@ app.get('/api/system', async (req, res) => {
     }
 });
 
-// Error handling
+// 404 handler for API routes
+const apiNotFound = (req, res) => {
+    res.status(404).json({
+        error: 'API endpoint not found',
+        path: req.originalUrl.split('?')[0],
+        timestamp: new Date().toISOString()
+    });
+};
+
+app.use('/api/v1', api, apiNotFound);
+app.use('/api', deprecatedAlias({
+    successor: '/api/v1',
+    deprecatedAt: config.api.legacyDeprecatedAt,
+    sunset: config.api.legacySunset
+}), api, apiNotFound);
+
+// Error handling, registered last so it covers the API routers; client errors such as
+// malformed JSON bodies keep their 4xx status
 app.use((err, req, res, next) => {
-    console.error(err.stack);
+    const statusCode = err.status || err.statusCode || 500;
+    if (statusCode < 500) {
+        return res.status(statusCode).json({
+            error: 'Invalid request',
+            message: err.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    (req.log || logger).error('Unhandled error', { error: err });
     res.status(500).json({
         error: 'Internal Server Error',
-        message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong!',
+        message: config.server.environment === 'development' ? err.message : 'Something went wrong!',
         timestamp: new Date().toISOString()
     });
 });
 
-// 404 handler for API routes
-app.use('/api/*', (req, res) => {
-    res.status(404).json({
-        error: 'API endpoint not found',
-        path: req.path,
-        timestamp: new Date().toISOString()
+// Start server
+const server = app.listen(PORT, () => {
+    logger.info('Docker Web Server Backend API started', {
+        port: PORT,
+        health: `http://localhost:${PORT}/health`,
+        status: `http://localhost:${PORT}/api/v1/status`
     });
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`🚀 Docker Web Server Backend API running on port ${PORT}`);
-    console.log(`📊 Health endpoint: http://localhost:${PORT}/health`);
-    console.log(`🔍 Status endpoint: http://localhost:${PORT}/api/status`);
+// WebSocket variant of /api/v1/events for clients that prefer it (also at the deprecated /api/events/ws)
+const WS_PATHS = ['/api/v1/events/ws', '/api/events/ws'];
+const wss = new WebSocketServer({
+    server,
+    // A throw here would escape ws's upgrade handler and take the process down, so any
+    // authentication error just rejects the upgrade
+    verifyClient: ({ req }) => {
+        if (!WS_PATHS.includes(req.url.split('?')[0])) return false;
+        try {
+            return Boolean(authenticator.identify(req.headers));
+        } catch (error) {
+            logger.warn('Rejected WebSocket upgrade', { error: error.message });
+            return false;
+        }
+    }
+});
+wss.on('connection', (socket) => {
+    const send = ({ id, type, data }) => {
+        if (socket.readyState === socket.OPEN) socket.send(JSON.stringify({ id, type, data }));
+    };
+    eventHub.snapshot().forEach(send);
+    const unsubscribe = eventHub.subscribe(send);
+    const untrack = lifecycle.trackStream(() => socket.close(1001, 'Server shutting down'));
+    socket.on('close', () => {
+        unsubscribe();
+        untrack();
+    });
+    socket.on('error', () => socket.terminate());
+});
+
+lifecycle.attach(server);
+lifecycle.onShutdown(async () => {
+    await metricsHistory.stop();
+    systemSampler.stop();
+    uptimeTracker.stop();
+    alertEngine.stop();
+    if (stopWatchingDocker) stopWatchingDocker();
+    wss.close();
 });
+lifecycle.handleSignals();
 
-module.exports = app;
\ No newline at end of file
+module.exports = app;
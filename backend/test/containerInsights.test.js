@@ -0,0 +1,161 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { PrometheusClient, PrometheusError } = require('../lib/prometheusClient');
+const { ContainerInsights } = require('../lib/containerInsights');
+
+const NOW = 1760000000;
+const series = (name, service, value) => ({
+    metric: { name, container_label_com_docker_compose_service: service },
+    value: [NOW, value]
+});
+const vector = result => ({ status: 'success', data: { resultType: 'vector', result } });
+
+// Canned answers, picked by the metric each PromQL expression reads
+const INSTANT = [
+    ['container_cpu_usage_seconds_total', vector([series('tree-app-1', 'app', '12.345'), series('tree-db-1', 'db', '80.1'), series('idle', '', 'NaN')])],
+    ['container_memory_working_set_bytes', vector([series('tree-app-1', 'app', '104857600'), series('tree-db-1', 'db', '524288000')])],
+    ['container_spec_memory_limit_bytes', vector([series('tree-app-1', 'app', '0'), series('tree-db-1', 'db', '1048576000')])],
+    ['container_start_time_seconds', vector([series('tree-app-1', 'app', '1'), series('tree-db-1', 'db', '4')])],
+    ['bad_query(', { status: 'error', errorType: 'bad_data', error: 'parse error' }, 400],
+    ['overloaded', { status: 'error', errorType: 'internal', error: 'query queue full' }, 503],
+    ['scalar(1)', { status: 'success', data: { resultType: 'scalar', result: [NOW, '1'] } }]
+];
+
+const MATRIX = {
+    status: 'success',
+    data: {
+        resultType: 'matrix',
+        result: [{
+            metric: { name: 'tree-db-1', container_label_com_docker_compose_service: 'db' },
+            values: [[NOW - 60, '79.456'], [NOW, 'NaN']]
+        }]
+    }
+};
+
+describe('Prometheus insights against a stub Prometheus', () => {
+    const requests = [];
+    let server;
+    let url;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            const { pathname, searchParams } = new URL(req.url, 'http://stub');
+            const params = Object.fromEntries(searchParams);
+            requests.push({ pathname, params });
+
+            if (params.query === 'slow') return setTimeout(() => res.end('{}'), 200);
+            if (params.query === 'html') {
+                res.writeHead(502, { 'Content-Type': 'text/html' });
+                return res.end('<h1>Bad gateway</h1>');
+            }
+
+            let status = 200;
+            let body = { status: 'error', errorType: 'not_found', error: `no stub for ${pathname}` };
+            if (pathname === '/api/v1/query_range') {
+                body = MATRIX;
+            } else if (pathname === '/api/v1/query') {
+                const match = INSTANT.find(([needle]) => params.query.includes(needle));
+                if (match) [, body, status = 200] = match;
+            }
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${server.address().port}/`;
+    });
+
+    after(() => server.close());
+
+    describe('PrometheusClient', () => {
+        it('parses instant vectors into labels and [ms, number] samples', async () => {
+            const client = new PrometheusClient({ url });
+            const result = await client.query('container_start_time_seconds', { time: NOW * 1000 });
+
+            assert.deepEqual(result[1], {
+                labels: { name: 'tree-db-1', container_label_com_docker_compose_service: 'db' },
+                value: [NOW * 1000, 4]
+            });
+            assert.equal(requests.at(-1).params.time, `${NOW}.000`);
+        });
+
+        it('parses range matrices and sends start, end and step in seconds', async () => {
+            const client = new PrometheusClient({ url });
+            const result = await client.queryRange('up', { start: (NOW - 60) * 1000, end: NOW * 1000, step: 15000 });
+
+            assert.equal(result.length, 1);
+            assert.deepEqual(result[0].values[0], [(NOW - 60) * 1000, 79.456]);
+            assert.ok(Number.isNaN(result[0].values[1][1]));
+            assert.deepEqual(requests.at(-1), {
+                pathname: '/api/v1/query_range',
+                params: { query: 'up', start: `${NOW - 60}.000`, end: `${NOW}.000`, step: '15.000' }
+            });
+        });
+
+        it('maps Prometheus errors onto status codes', async () => {
+            const client = new PrometheusClient({ url });
+            await assert.rejects(client.query('bad_query('), { name: 'PrometheusError', statusCode: 400, message: 'Prometheus bad_data: parse error' });
+            await assert.rejects(client.query('overloaded'), { name: 'PrometheusError', statusCode: 502 });
+            await assert.rejects(client.query('html'), { name: 'PrometheusError', statusCode: 502 });
+            await assert.rejects(client.query('scalar(1)'), /Expected a vector result, got scalar/);
+        });
+
+        it('reports timeouts and unreachable servers', async () => {
+            await assert.rejects(new PrometheusClient({ url, timeout: 50 }).query('slow'), { name: 'PrometheusError', statusCode: 504 });
+
+            const closed = http.createServer();
+            await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+            const { port } = closed.address();
+            await new Promise(resolve => closed.close(resolve));
+            await assert.rejects(new PrometheusClient({ url: `http://127.0.0.1:${port}` }).query('up'), (error) => {
+                assert.ok(error instanceof PrometheusError);
+                assert.equal(error.statusCode, 503);
+                assert.match(error.message, /^Prometheus unreachable/);
+                return true;
+            });
+        });
+    });
+
+    describe('ContainerInsights', () => {
+        it('ranks CPU and memory consumers and flags restart spikes', async () => {
+            const insights = new ContainerInsights({ prometheus: new PrometheusClient({ url }), limit: 5, restartThreshold: 3 });
+            const summary = await insights.getSummary({ window: 60 * 60 * 1000 });
+
+            assert.equal(summary.window, 3600000);
+            assert.deepEqual(summary.cpu, [
+                { name: 'tree-db-1', service: 'db', cpuPercent: 80.1 },
+                { name: 'tree-app-1', service: 'app', cpuPercent: 12.35 }
+            ]);
+            assert.deepEqual(summary.memory, [
+                { name: 'tree-db-1', service: 'db', usageBytes: 524288000, limitBytes: 1048576000, percent: 50 },
+                { name: 'tree-app-1', service: 'app', usageBytes: 104857600, limitBytes: null, percent: null }
+            ]);
+            assert.deepEqual(summary.restarts, [
+                { name: 'tree-db-1', service: 'db', restarts: 4, spike: true },
+                { name: 'tree-app-1', service: 'app', restarts: 1, spike: false }
+            ]);
+            assert.deepEqual(summary.restartSpikes, ['tree-db-1']);
+            assert.deepEqual(summary.cpuHistory, [{
+                name: 'tree-db-1',
+                service: 'db',
+                points: [[(NOW - 60) * 1000, 79.46], [NOW * 1000, null]]
+            }]);
+        });
+
+        it('limits queries to the requested window and top consumers', async () => {
+            requests.length = 0;
+            const insights = new ContainerInsights({ prometheus: new PrometheusClient({ url }), limit: 2, rateWindow: 60000 });
+            await insights.getSummary({ window: 15 * 60 * 1000 });
+
+            const queries = requests.map(request => request.params.query);
+            assert.ok(queries.some(query => query.startsWith('topk(2, ') && query.includes('[60s]')));
+            assert.ok(queries.some(query => query.includes('changes(container_start_time_seconds{name!=""}[900s])')));
+            assert.ok(queries.some(query => query.includes('name=~"tree-db-1|tree-app-1"')));
+        });
+
+        it('fails the summary when Prometheus cannot be reached', async () => {
+            const insights = new ContainerInsights({ prometheus: new PrometheusClient({ url: 'http://127.0.0.1:1', timeout: 500 }) });
+            await assert.rejects(insights.getSummary(), { name: 'PrometheusError', statusCode: 503 });
+        });
+    });
+});
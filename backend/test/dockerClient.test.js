@@ -0,0 +1,133 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { DockerClient, DockerError } = require('../lib/dockerClient');
+
+const SUMMARY = {
+    Id: 'f00dcafe1234',
+    Names: ['/tree-nginx-1'],
+    Image: 'nginx:alpine',
+    State: 'running',
+    Status: 'Up 2 hours',
+    Created: 1700000000,
+    Ports: [
+        { IP: '0.0.0.0', PrivatePort: 80, PublicPort: 8080, Type: 'tcp' },
+        { PrivatePort: 443, Type: 'tcp' }
+    ],
+    Labels: { 'com.docker.compose.project': 'tree', 'com.docker.compose.service': 'nginx' },
+    NetworkSettings: { Networks: { tree_default: {} } }
+};
+
+const DETAILS = {
+    RestartCount: 3,
+    Config: { Tty: true },
+    State: { Health: { Status: 'healthy' } }
+};
+
+const raw = (status, body, { type = 'application/json', length = Buffer.byteLength(body) } = {}) =>
+    `HTTP/1.1 ${status} Fake\r\nContent-Type: ${type}\r\nContent-Length: ${length}\r\nConnection: close\r\n\r\n${body}`;
+
+// Plain socket server speaking just enough HTTP/1.1 to stand in for the Docker daemon
+const ROUTES = {
+    'GET /v1.41/_ping': socket => socket.end(raw(200, 'OK', { type: 'text/plain' })),
+    'GET /v1.41/containers/json': socket => socket.end(raw(200, JSON.stringify([SUMMARY]))),
+    'GET /v1.41/containers/f00dcafe1234/json': socket => socket.end(raw(200, JSON.stringify(DETAILS))),
+    'GET /v1.41/containers/missing/json': socket => socket.end(raw(404, JSON.stringify({ message: 'No such container: missing' }))),
+    'GET /v1.41/containers/garbled/json': socket => socket.end(raw(200, '<html>proxy error</html>')),
+    // Headers promise more body than arrives before the connection drops
+    'GET /v1.41/containers/truncated/json': (socket) => {
+        socket.write(raw(200, '{"Id":', { length: 100 }));
+        setTimeout(() => socket.destroy(), 20);
+    }
+};
+
+describe('DockerClient', () => {
+    const socketPath = path.join(os.tmpdir(), `docker-client-test-${process.pid}.sock`);
+    let server;
+    let docker;
+
+    before(async () => {
+        server = net.createServer((socket) => {
+            let head = '';
+            socket.on('data', (chunk) => {
+                head += chunk;
+                if (!head.includes('\r\n\r\n')) return;
+                const [method, target] = head.split(' ');
+                const route = ROUTES[`${method} ${target.split('?')[0]}`];
+                if (route) route(socket);
+                else socket.end(raw(404, JSON.stringify({ message: 'page not found' })));
+            });
+            socket.on('error', () => {});
+        });
+        await new Promise(resolve => server.listen(socketPath, resolve));
+        docker = new DockerClient({ host: `unix://${socketPath}`, timeout: 1000 });
+    });
+
+    after(() => {
+        server.close();
+        fs.rmSync(socketPath, { force: true });
+    });
+
+    it('maps container summaries and inspect details', async () => {
+        const [container] = await docker.listContainers({ all: true });
+
+        assert.deepEqual(container, {
+            id: 'f00dcafe1234',
+            name: 'tree-nginx-1',
+            image: 'nginx:alpine',
+            state: 'running',
+            status: 'Up 2 hours',
+            health: 'healthy',
+            restartCount: 3,
+            tty: true,
+            created: '2023-11-14T22:13:20.000Z',
+            ports: [
+                { ip: '0.0.0.0', privatePort: 80, publicPort: 8080, type: 'tcp' },
+                { ip: null, privatePort: 443, publicPort: null, type: 'tcp' }
+            ],
+            networks: ['tree_default'],
+            labels: { 'com.docker.compose.project': 'tree', 'com.docker.compose.service': 'nginx' }
+        });
+    });
+
+    it('finds containers by compose service name', async () => {
+        const container = await docker.findContainer('nginx');
+        assert.equal(container.id, 'f00dcafe1234');
+        await assert.rejects(docker.findContainer('postgres'), { name: 'DockerError', statusCode: 404 });
+    });
+
+    it('limits the lookup to a compose project when given one', async () => {
+        assert.equal((await docker.findContainer('nginx', { project: 'tree' })).id, 'f00dcafe1234');
+        await assert.rejects(docker.findContainer('nginx', { project: 'other' }), { statusCode: 404, message: 'No container in compose project "other" matches "nginx"' });
+        await assert.rejects(docker.findContainer('f00dcafe1234', { project: null }), { statusCode: 404 });
+    });
+
+    it('returns plain-text bodies as text', async () => {
+        assert.equal(await docker.ping(), 'OK');
+    });
+
+    it('rejects with the daemon message and status on API errors', async () => {
+        await assert.rejects(docker.inspectContainer('missing'), (error) => {
+            assert.ok(error instanceof DockerError);
+            assert.equal(error.statusCode, 404);
+            assert.equal(error.message, 'No such container: missing');
+            return true;
+        });
+    });
+
+    it('rejects JSON responses that do not parse', async () => {
+        await assert.rejects(docker.inspectContainer('garbled'), { name: 'DockerError', statusCode: 502 });
+    });
+
+    it('rejects when the response is cut off', async () => {
+        await assert.rejects(docker.inspectContainer('truncated'), { name: 'DockerError', statusCode: 502 });
+    });
+
+    it('rejects with 503 when the socket is unreachable', async () => {
+        const unreachable = new DockerClient({ host: `unix://${socketPath}.missing`, timeout: 1000 });
+        await assert.rejects(unreachable.ping(), { name: 'DockerError', statusCode: 503 });
+    });
+});
@@ -0,0 +1,177 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const net = require('net');
+const { createNotifiers } = require('../lib/notifiers');
+const { AlertEngine } = require('../lib/alertEngine');
+
+const T0 = Date.parse('2026-01-01T00:00:00Z');
+const MINUTE = 60 * 1000;
+
+// Receives webhook and Slack posts; /failing always answers 500
+const startHttpReceiver = async () => {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            received.push({ path: req.url, contentType: req.headers['content-type'], body: JSON.parse(Buffer.concat(chunks)) });
+            res.statusCode = req.url === '/failing' ? 500 : 200;
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, received, url: `http://127.0.0.1:${server.address().port}` };
+};
+
+// Just enough SMTP for nodemailer without TLS: greeting, EHLO, MAIL, RCPT, DATA, QUIT
+const startSmtpReceiver = async () => {
+    const messages = [];
+    const server = net.createServer((socket) => {
+        let buffer = '';
+        let message = null;
+        socket.write('220 stub ESMTP\r\n');
+        socket.on('data', (chunk) => {
+            buffer += chunk;
+            let end;
+            while ((end = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                if (message && message.data !== null) {
+                    if (line === '.') {
+                        messages.push(message);
+                        message = null;
+                        socket.write('250 queued\r\n');
+                    } else {
+                        message.data.push(line);
+                    }
+                    continue;
+                }
+                const command = line.slice(0, 4).toUpperCase();
+                if (command === 'EHLO' || command === 'HELO') socket.write('250 stub\r\n');
+                else if (command === 'MAIL') {
+                    message = { from: line, to: [], data: null };
+                    socket.write('250 OK\r\n');
+                } else if (command === 'RCPT') {
+                    message.to.push(line);
+                    socket.write('250 OK\r\n');
+                } else if (command === 'DATA') {
+                    message.data = [];
+                    socket.write('354 go ahead\r\n');
+                } else if (command === 'QUIT') socket.end('221 bye\r\n');
+                else socket.write('250 OK\r\n');
+            }
+        });
+        socket.on('error', () => {});
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, messages, url: `smtp://127.0.0.1:${server.address().port}` };
+};
+
+const cpuRule = { name: 'cpu-high', type: 'threshold', metric: 'cpu', op: '>', value: 90, for: '1m', severity: 'critical' };
+
+describe('alert notifiers against stub receivers', () => {
+    let web;
+    let smtp;
+
+    before(async () => {
+        [web, smtp] = await Promise.all([startHttpReceiver(), startSmtpReceiver()]);
+    });
+
+    after(() => {
+        web.server.close();
+        smtp.server.close();
+    });
+
+    it('notifies once when an alert fires and once when it resolves', async () => {
+        web.received.length = 0;
+        smtp.messages.length = 0;
+        let cpu = 95;
+        const engine = new AlertEngine({
+            rules: [cpuRule],
+            collect: async () => ({ health: { cpu, memory: 10, disk: 10, healthy: true } }),
+            notifiers: createNotifiers([
+                { type: 'webhook', url: `${web.url}/webhook` },
+                { type: 'slack', url: `${web.url}/slack`, channel: '#ops' },
+                { type: 'email', smtpUrl: smtp.url, from: 'alerts@example.com', to: 'ops@example.com' }
+            ])
+        });
+
+        await engine.evaluate(T0);                  // pending
+        await engine.evaluate(T0 + MINUTE);         // firing
+        await engine.evaluate(T0 + 2 * MINUTE);     // still firing: no repeat
+        await engine.evaluate(T0 + 3 * MINUTE);
+        cpu = 20;
+        await engine.evaluate(T0 + 4 * MINUTE);     // resolved
+        await engine.evaluate(T0 + 5 * MINUTE);     // nothing left to resolve
+
+        const webhook = web.received.filter(entry => entry.path === '/webhook');
+        assert.deepEqual(webhook.map(entry => entry.body.status), ['firing', 'resolved']);
+        assert.equal(webhook[0].contentType, 'application/json');
+        assert.deepEqual(webhook[0].body.alert, {
+            rule: 'cpu-high',
+            type: 'threshold',
+            severity: 'critical',
+            state: 'firing',
+            activeAt: '2026-01-01T00:00:00.000Z',
+            firedAt: '2026-01-01T00:01:00.000Z',
+            resolvedAt: null,
+            lastNotifiedAt: webhook[0].body.alert.lastNotifiedAt,
+            value: 95,
+            summary: 'cpu at 95% (> 90%)'
+        });
+        assert.equal(webhook[1].body.alert.state, 'resolved');
+        assert.equal(webhook[1].body.alert.resolvedAt, '2026-01-01T00:04:00.000Z');
+        assert.equal(webhook[1].body.alert.value, 20);
+
+        const slack = web.received.filter(entry => entry.path === '/slack').map(entry => entry.body);
+        assert.equal(slack.length, 2);
+        assert.deepEqual(slack[0], {
+            channel: '#ops',
+            text: '[FIRING] cpu-high: cpu at 95% (> 90%)',
+            attachments: [{
+                color: 'danger',
+                fields: [
+                    { title: 'Severity', value: 'critical', short: true },
+                    { title: 'Since', value: '2026-01-01T00:00:00.000Z', short: true }
+                ]
+            }]
+        });
+        assert.equal(slack[1].text, '[RESOLVED] cpu-high: cpu at 20% (> 90%)');
+        assert.equal(slack[1].attachments[0].color, 'good');
+
+        assert.equal(smtp.messages.length, 2);
+        const [firing, resolved] = smtp.messages.map(message => message.data.join('\n'));
+        assert.match(smtp.messages[0].from, /alerts@example\.com/);
+        assert.match(smtp.messages[0].to[0], /ops@example\.com/);
+        assert.match(firing, /^Subject: \[FIRING\] cpu-high: cpu at 95% \(> 90%\)$/m);
+        assert.match(firing, /^Severity: critical$/m);
+        assert.doesNotMatch(firing, /Resolved at:/);
+        assert.match(resolved, /^Subject: \[RESOLVED\] cpu-high/m);
+        assert.match(resolved, /^Resolved at: 2026-01-01T00:04:00.000Z$/m);
+    });
+
+    it('skips notifications while silenced and keeps going when one notifier fails', async () => {
+        web.received.length = 0;
+        const failures = [];
+        const delivered = [];
+        const engine = new AlertEngine({
+            rules: [cpuRule, { ...cpuRule, name: 'cpu-warning', value: 50, severity: 'warning' }],
+            collect: async () => ({ health: { cpu: 95, memory: 10, disk: 10, healthy: true } }),
+            notifiers: createNotifiers([
+                { type: 'webhook', url: `${web.url}/failing` },
+                { type: 'webhook', url: `${web.url}/webhook` }
+            ])
+        });
+        engine.on('notifyFailed', ({ notifier, error }) => failures.push(`${notifier}: ${error.message}`));
+        engine.on('notified', ({ alert }) => delivered.push(alert.rule));
+        engine.addSilence({ severity: 'warning', duration: '1h' });
+
+        await engine.evaluate(T0);
+        await engine.evaluate(T0 + MINUTE);
+
+        assert.deepEqual(web.received.filter(entry => entry.path === '/webhook').map(entry => entry.body.alert.rule), ['cpu-high']);
+        assert.deepEqual(delivered, ['cpu-high']);
+        assert.deepEqual(failures, [`webhook: ${web.url}/failing responded 500`]);
+    });
+});
@@ -0,0 +1,173 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { checkOpenApi } = require('../scripts/check-openapi');
+const { OpenApiSpec } = require('../lib/openapi');
+
+const container = (id, service, state, project = 'tree') => ({
+    Id: id,
+    Names: [`/${project}-${service}-1`],
+    Image: `${service}:latest`,
+    State: state,
+    Status: state === 'running' ? 'Up 5 minutes' : 'Exited (0) 1 minute ago',
+    Created: 1700000000,
+    Ports: service === 'nginx' ? [{ IP: '0.0.0.0', PrivatePort: 80, PublicPort: 80, Type: 'tcp' }] : [],
+    Labels: { 'com.docker.compose.project': project, 'com.docker.compose.service': service },
+    NetworkSettings: { Networks: { [`${project}_default`]: {} } }
+});
+
+// The last one belongs to another compose project on the same host
+const CONTAINERS = [
+    container('a1b2c3d4e5f6', 'nginx', 'running'),
+    container('b2c3d4e5f6a1', 'app', 'running'),
+    container('c3d4e5f6a1b2', 'frontend', 'exited'),
+    container('d4e5f6a1b2c3', 'frontend', 'exited', 'neighbour')
+];
+
+const STATS = {
+    read: '2026-01-01T00:00:00Z',
+    cpu_stats: { cpu_usage: { total_usage: 200000000 }, system_cpu_usage: 2000000000, online_cpus: 2 },
+    precpu_stats: { cpu_usage: { total_usage: 100000000 }, system_cpu_usage: 1000000000 },
+    memory_stats: { usage: 52428800, limit: 1073741824, stats: {} },
+    networks: { eth0: { rx_bytes: 1024, tx_bytes: 2048 } },
+    blkio_stats: {},
+    pids_stats: { current: 4 }
+};
+
+// The Docker Engine API routes the backend reads
+const fakeDocker = (req, res) => {
+    const url = req.url.split('?')[0];
+    res.setHeader('Content-Type', 'application/json');
+    if (url === '/v1.41/_ping') {
+        res.setHeader('Content-Type', 'text/plain');
+        return res.end('OK');
+    }
+    if (url === '/v1.41/containers/json') return res.end(JSON.stringify(CONTAINERS));
+    if (/^\/v1\.41\/containers\/\w+\/json$/.test(url)) {
+        return res.end(JSON.stringify({ RestartCount: 0, Config: { Tty: false }, State: { Health: { Status: 'healthy' } } }));
+    }
+    if (/^\/v1\.41\/containers\/\w+\/stats$/.test(url)) return res.end(JSON.stringify(STATS));
+    res.statusCode = 404;
+    res.end(JSON.stringify({ message: `no fake for ${url}` }));
+};
+
+const fakePrometheus = (req, res) => {
+    const resultType = req.url.startsWith('/api/v1/query_range') ? 'matrix' : 'vector';
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ status: 'success', data: { resultType, result: [] } }));
+};
+
+const listen = (server, ...args) => new Promise(resolve => server.listen(...args, resolve));
+
+const freePort = async () => {
+    const server = net.createServer();
+    await listen(server, 0, '127.0.0.1');
+    const { port } = server.address();
+    await new Promise(resolve => server.close(resolve));
+    return port;
+};
+
+const waitFor = async (url, timeout = 15000) => {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+        try {
+            if ((await fetch(url)).ok) return;
+        } catch (error) {
+            // not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error(`${url} did not come up within ${timeout}ms`);
+};
+
+// Boots server.js in strict response-validation mode against a fake Docker socket and a
+// stub Prometheus, then checks every read-only JSON route against the OpenAPI document
+describe('OpenAPI conformance', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'openapi-test-'));
+    const dockerSocket = path.join(dir, 'docker.sock');
+    const docker = http.createServer(fakeDocker);
+    const prometheus = http.createServer(fakePrometheus);
+    let backend;
+    let backendUrl;
+    let output = '';
+
+    before(async () => {
+        await listen(docker, dockerSocket);
+        await listen(prometheus, 0, '127.0.0.1');
+        // An empty config file keeps a developer's local config.yaml out of the run
+        fs.writeFileSync(path.join(dir, 'config.json'), '{}');
+        const port = await freePort();
+        backendUrl = `http://127.0.0.1:${port}`;
+
+        backend = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+            env: {
+                ...process.env,
+                PORT: String(port),
+                DOCKER_HOST: `unix://${dockerSocket}`,
+                PROMETHEUS_URL: `http://127.0.0.1:${prometheus.address().port}`,
+                HEALTH_PROMETHEUS_ADDRESS: `127.0.0.1:${prometheus.address().port}`,
+                HEALTH_GRAFANA_ADDRESS: '127.0.0.1:1',
+                NGINX_URL: 'http://127.0.0.1:1',
+                FRONTEND_URL: 'http://127.0.0.1:1',
+                OPENAPI_RESPONSE_VALIDATION: 'strict',
+                AUTH_ANONYMOUS_ROLE: 'admin',
+                JWT_SECRET: 'openapi-test',
+                STACK_COMPOSE_FILE: path.join(__dirname, '..', '..', 'docker-compose.yaml'),
+                UPTIME_DATA_FILE: path.join(dir, 'uptime.log'),
+                AUDIT_LOG_FILE: path.join(dir, 'audit.log'),
+                HISTORY_DIR: path.join(dir, 'history'),
+                CONFIG_FILE: path.join(dir, 'config.json'),
+                LOG_LEVEL: 'warn',
+                LOG_OUTPUT: 'stdout'
+            },
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+        backend.stdout.on('data', (chunk) => { output += chunk; });
+        backend.stderr.on('data', (chunk) => { output += chunk; });
+        await waitFor(`${backendUrl}/livez`);
+    });
+
+    after(async () => {
+        if (backend && backend.exitCode === null) {
+            const exited = new Promise(resolve => backend.once('exit', resolve));
+            backend.kill('SIGTERM');
+            await exited;
+        }
+        docker.close();
+        prometheus.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('answers every read-only JSON route as documented', async () => {
+        const lines = [];
+        const { checked, failures } = await checkOpenApi({ backendUrl, log: line => lines.push(line) });
+
+        assert.ok(checked >= 15, `only ${checked} operations were checked:\n${lines.join('\n')}`);
+        assert.deepEqual(failures, [], `${lines.join('\n')}\n\nbackend output:\n${output}`);
+    });
+
+    it('documents the errors it answers with', async () => {
+        const spec = new OpenApiSpec(await (await fetch(`${backendUrl}/api/v1/openapi.json`)).json());
+        const cases = [
+            ['GET', '/api/v1/containers?state=sleeping', 400],
+            ['GET', '/api/v1/containers/%E0%A4%A/stats', 400],
+            ['GET', '/api/v1/containers/nothing-like-this/stats', 404],
+            ['GET', '/api/v1/containers/neighbour-frontend-1/stats', 404],
+            ['POST', '/api/v1/containers/d4e5f6a1b2c3/start', 404],
+            ['DELETE', '/api/v1/containers/nginx', 409]
+        ];
+
+        for (const [method, url, status] of cases) {
+            const response = await fetch(`${backendUrl}${url}`, { method });
+            const body = await response.json();
+            assert.equal(response.status, status, `${method} ${url}: ${JSON.stringify(body)}`);
+            const matched = spec.match(method, url.split('?')[0]);
+            assert.deepEqual(spec.validateResponse(matched, response.status, body), [], `${method} ${url}`);
+        }
+    });
+});
@@ -0,0 +1,202 @@
+// Lightweight SVG time-series charts and sparklines (no dependencies)
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const SERIES_COLORS = ['#0066cc', '#00d4aa', '#ff6b6b', '#ffd43b', '#764ba2'];
+
+const svgElement = (name, attributes = {}) => {
+    const element = document.createElementNS(SVG_NS, name);
+    Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+    return element;
+};
+
+// Round the axis maximum up to 1, 2 or 5 times a power of ten
+const niceMax = (value) => {
+    if (!(value > 0)) return 1;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+    const step = [1, 2, 5, 10].find(multiple => multiple * magnitude >= value);
+    return step * magnitude;
+};
+
+const formatTime = (t, spanMs) => {
+    const date = new Date(t);
+    if (spanMs > 2 * 24 * 60 * 60 * 1000) {
+        return date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+    }
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+};
+
+// Line path that breaks at gaps (null values) instead of drawing through them
+const linePath = (points, x, y) => {
+    let path = '';
+    let drawing = false;
+    points.forEach(([t, value]) => {
+        if (value === null || value === undefined) {
+            drawing = false;
+            return;
+        }
+        path += `${drawing ? 'L' : 'M'}${x(t).toFixed(1)},${y(value).toFixed(1)}`;
+        drawing = true;
+    });
+    return path;
+};
+
+const escapeText = (text) => String(text).replace(/[&<>"]/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;'
+}[char]));
+
+class TimeSeriesChart {
+    constructor(container, { unit = '', height = 180, formatValue } = {}) {
+        this.container = container;
+        this.unit = unit;
+        this.height = height;
+        this.formatValue = formatValue || (value => `${Math.round(value * 10) / 10}${this.unit}`);
+        this.series = [];
+        this.margin = { top: 10, right: 12, bottom: 22, left: 44 };
+
+        this.container.classList.add('chart');
+        this.tooltip = document.createElement('div');
+        this.tooltip.className = 'chart-tooltip';
+        this.tooltip.hidden = true;
+
+        this.container.addEventListener('mousemove', (e) => this.handleHover(e));
+        this.container.addEventListener('mouseleave', () => this.hideHover());
+    }
+
+    // series: [{ name, points: [[timestamp, value], ...], color? }]
+    setData(series) {
+        this.series = series.map((entry, i) => ({ color: SERIES_COLORS[i % SERIES_COLORS.length], ...entry }));
+        this.render();
+    }
+
+    render() {
+        const width = this.container.clientWidth || 300;
+        const { top, right, bottom, left } = this.margin;
+        const times = this.series.flatMap(entry => entry.points.map(([t]) => t));
+        const values = this.series.flatMap(entry => entry.points.map(([, value]) => value)).filter(value => value !== null);
+
+        this.container.replaceChildren();
+        this.scale = null;
+        if (!times.length) {
+            const empty = document.createElement('div');
+            empty.className = 'chart-empty';
+            empty.textContent = 'No data for this range yet';
+            this.container.append(empty);
+            return;
+        }
+
+        const minT = Math.min(...times);
+        const maxT = Math.max(...times);
+        const maxY = niceMax(Math.max(0, ...values));
+        const plotWidth = width - left - right;
+        const plotHeight = this.height - top - bottom;
+
+        this.scale = {
+            minT,
+            maxT,
+            x: t => left + (maxT === minT ? plotWidth / 2 : ((t - minT) / (maxT - minT)) * plotWidth),
+            y: value => top + plotHeight - (value / maxY) * plotHeight
+        };
+        const { x, y } = this.scale;
+
+        const svg = svgElement('svg', { viewBox: `0 0 ${width} ${this.height}`, width, height: this.height, role: 'img' });
+
+        // Horizontal grid lines with value labels
+        for (let i = 0; i <= 4; i++) {
+            const value = (maxY / 4) * i;
+            svg.append(svgElement('line', { class: 'chart-gridline', x1: left, x2: width - right, y1: y(value), y2: y(value) }));
+            const label = svgElement('text', { class: 'chart-axis', x: left - 6, y: y(value) + 4, 'text-anchor': 'end' });
+            label.textContent = this.formatValue(value);
+            svg.append(label);
+        }
+
+        // Time labels at the edges and two points in between
+        for (let i = 0; i <= 3; i++) {
+            const t = minT + ((maxT - minT) / 3) * i;
+            const anchor = i === 0 ? 'start' : i === 3 ? 'end' : 'middle';
+            const label = svgElement('text', { class: 'chart-axis', x: x(t), y: this.height - 6, 'text-anchor': anchor });
+            label.textContent = formatTime(t, maxT - minT);
+            svg.append(label);
+        }
+
+        this.series.forEach(entry => {
+            svg.append(svgElement('path', { class: 'chart-line', d: linePath(entry.points, x, y), stroke: entry.color }));
+        });
+
+        this.cursor = svgElement('line', { class: 'chart-cursor', y1: top, y2: top + plotHeight, visibility: 'hidden' });
+        svg.append(this.cursor);
+
+        const legend = document.createElement('div');
+        legend.className = 'chart-legend';
+        this.series.forEach(entry => {
+            const item = document.createElement('span');
+            item.className = 'chart-legend-item';
+            item.style.setProperty('--series-color', entry.color);
+            item.textContent = entry.name;
+            legend.append(item);
+        });
+
+        this.container.append(svg, legend, this.tooltip);
+    }
+
+    handleHover(e) {
+        if (!this.scale || !this.series.length) return;
+
+        const svg = this.container.querySelector('svg');
+        const bounds = svg.getBoundingClientRect();
+        const width = Number(svg.getAttribute('width'));
+        const mouseX = (e.clientX - bounds.left) * (width / bounds.width);
+
+        // Nearest timestamp of the first series
+        const points = this.series[0].points;
+        if (!points.length) return;
+        const nearest = points.reduce((best, point) =>
+            (Math.abs(this.scale.x(point[0]) - mouseX) < Math.abs(this.scale.x(best[0]) - mouseX) ? point : best));
+        const t = nearest[0];
+        const cursorX = this.scale.x(t);
+
+        this.cursor.setAttribute('x1', cursorX);
+        this.cursor.setAttribute('x2', cursorX);
+        this.cursor.setAttribute('visibility', 'visible');
+
+        const rows = this.series.map(entry => {
+            const point = entry.points.find(([time]) => time === t);
+            const value = point && point[1] !== null ? this.formatValue(point[1]) : '–';
+            return `<span class="chart-tooltip-row" style="--series-color: ${entry.color}">${escapeText(entry.name)}: <strong>${value}</strong></span>`;
+        });
+        this.tooltip.innerHTML = `<span class="chart-tooltip-time">${new Date(t).toLocaleString()}</span>${rows.join('')}`;
+        this.tooltip.hidden = false;
+
+        // Keep the tooltip inside the chart
+        const left = (cursorX / width) * bounds.width;
+        const flip = left > bounds.width / 2;
+        this.tooltip.style.left = flip ? 'auto' : `${left + 12}px`;
+        this.tooltip.style.right = flip ? `${bounds.width - left + 12}px` : 'auto';
+    }
+
+    hideHover() {
+        if (this.cursor) this.cursor.setAttribute('visibility', 'hidden');
+        this.tooltip.hidden = true;
+    }
+}
+
+// Tiny trend line without axes for the status cards
+const renderSparkline = (container, points, { width = 120, height = 28 } = {}) => {
+    const values = points.map(([, value]) => value).filter(value => value !== null);
+    container.replaceChildren();
+    if (values.length < 2) return;
+
+    const minT = points[0][0];
+    const maxT = points[points.length - 1][0];
+    const max = Math.max(...values);
+    const min = Math.min(...values);
+    const range = max - min || 1;
+    const x = t => ((t - minT) / (maxT - minT || 1)) * width;
+    const y = value => height - 2 - ((value - min) / range) * (height - 4);
+
+    const svg = svgElement('svg', { class: 'sparkline', viewBox: `0 0 ${width} ${height}`, width, height, 'aria-hidden': 'true' });
+    svg.append(svgElement('path', { class: 'sparkline-line', d: linePath(points, x, y) }));
+    container.append(svg);
+};
+
+window.TimeSeriesChart = TimeSeriesChart;
+window.renderSparkline = renderSparkline;
@@ -0,0 +1,270 @@
+// API reference rendered from the backend's OpenAPI document (GET /api/v1/openapi.json)
+
+const DOCS_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+const MAX_SCHEMA_DEPTH = 8;
+
+const escapeHtml = (text) => String(text).replace(/[&<>"]/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;'
+}[char]));
+
+// Follow a local "#/components/..." reference
+const resolveRef = (spec, node) => {
+    if (!node || !node.$ref) return node;
+    return node.$ref.slice(2).split('/').reduce((parent, key) => parent && parent[key], spec);
+};
+
+const refName = (node) => (node && node.$ref ? node.$ref.split('/').pop() : null);
+
+const schemaType = (spec, schema) => {
+    const resolved = resolveRef(spec, schema) || {};
+    if (resolved.enum) return resolved.enum.map(value => JSON.stringify(value)).join(' | ');
+    if ('const' in resolved) return JSON.stringify(resolved.const);
+    const types = [].concat(resolved.type || (resolved.properties ? 'object' : 'any'));
+    return types.map(type => {
+        if (type !== 'array') return type;
+        const items = resolved.items || (resolved.prefixItems ? { type: `[${resolved.prefixItems.map(item => schemaType(spec, item)).join(', ')}]` } : {});
+        return `${refName(items) || schemaType(spec, items)}[]`;
+    }).join(' | ');
+};
+
+class ApiDocs {
+    constructor() {
+        this.elements = {
+            title: document.getElementById('docs-title'),
+            version: document.getElementById('docs-version'),
+            description: document.getElementById('docs-description'),
+            search: document.getElementById('docs-search'),
+            operations: document.getElementById('docs-operations'),
+            schemas: document.getElementById('docs-schemas'),
+            state: document.getElementById('docs-state')
+        };
+        this.spec = null;
+
+        const navToggle = document.getElementById('mobile-menu');
+        navToggle.addEventListener('click', () => {
+            navToggle.classList.toggle('active');
+            document.getElementById('nav-menu').classList.toggle('active');
+        });
+        this.elements.search.addEventListener('input', () => this.filter(this.elements.search.value));
+        this.elements.operations.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.tryOperation(event.target);
+        });
+        this.load();
+    }
+
+    async load() {
+        try {
+            const response = await fetch('/api/v1/openapi.json', { cache: 'no-cache', credentials: 'same-origin' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.spec = await response.json();
+            this.render();
+            this.elements.state.hidden = true;
+        } catch (error) {
+            this.elements.state.textContent = `Could not load /api/v1/openapi.json (${error.message})`;
+        }
+    }
+
+    // [{ tag, operations: [{ method, path, operation }] }] in document order
+    groupOperations() {
+        const groups = new Map((this.spec.tags || []).map(tag => [tag.name, []]));
+        Object.entries(this.spec.paths || {}).forEach(([path, item]) => {
+            DOCS_METHODS.filter(method => item[method]).forEach(method => {
+                const operation = item[method];
+                const tag = (operation.tags && operation.tags[0]) || 'other';
+                if (!groups.has(tag)) groups.set(tag, []);
+                groups.get(tag).push({ method, path, operation, parameters: [...(item.parameters || []), ...(operation.parameters || [])] });
+            });
+        });
+        return [...groups.entries()]
+            .filter(([, operations]) => operations.length)
+            .map(([tag, operations]) => ({ tag, operations }));
+    }
+
+    render() {
+        const { info = {} } = this.spec;
+        document.title = `${info.title || 'API'} reference`;
+        this.elements.title.textContent = info.title || 'API reference';
+        this.elements.version.textContent = `v${info.version} · OpenAPI ${this.spec.openapi}`;
+        this.elements.description.textContent = info.description || '';
+
+        this.elements.operations.innerHTML = this.groupOperations().map(({ tag, operations }) => `
+            <section class="docs-group">
+                <h2>${escapeHtml(tag)}</h2>
+                ${operations.map(entry => this.renderOperation(entry)).join('')}
+            </section>
+        `).join('');
+
+        const schemas = Object.entries((this.spec.components && this.spec.components.schemas) || {});
+        this.elements.schemas.innerHTML = schemas.map(([name, schema]) => `
+            <details class="docs-schema" id="schema-${escapeHtml(name)}">
+                <summary><code>${escapeHtml(name)}</code> <span class="docs-type">${escapeHtml(schemaType(this.spec, schema))}</span></summary>
+                ${this.renderSchema(schema)}
+            </details>
+        `).join('');
+    }
+
+    renderOperation({ method, path, operation, parameters }) {
+        const isPublic = Array.isArray(operation.security) && !operation.security.length;
+        const resolvedParameters = parameters.map(parameter => resolveRef(this.spec, parameter));
+        const body = operation.requestBody && operation.requestBody.content && operation.requestBody.content['application/json'];
+        // Event streams never finish, so they get no "Try it" form
+        const streams = Object.values(operation.responses || {}).some(response => response.content && response.content['text/event-stream']);
+
+        return `
+            <details class="docs-operation" data-search="${escapeHtml(`${method} ${path} ${operation.summary || ''}`.toLowerCase())}">
+                <summary>
+                    <span class="docs-method docs-method-${method}">${method.toUpperCase()}</span>
+                    <code class="docs-path">${escapeHtml(path)}</code>
+                    <span class="docs-summary">${escapeHtml(operation.summary || '')}</span>
+                    ${isPublic ? '<span class="docs-badge">public</span>' : ''}
+                </summary>
+                <div class="docs-operation-body">
+                    ${operation.description ? `<p>${escapeHtml(operation.description)}</p>` : ''}
+                    ${resolvedParameters.length ? this.renderParameters(resolvedParameters) : ''}
+                    ${body ? `<h4>Request body</h4>${this.renderSchema(body.schema)}` : ''}
+                    <h4>Responses</h4>
+                    ${this.renderResponses(operation.responses || {})}
+                    ${method === 'get' && !streams ? this.renderTryIt(path, resolvedParameters) : ''}
+                </div>
+            </details>
+        `;
+    }
+
+    renderParameters(parameters) {
+        return `
+            <h4>Parameters</h4>
+            <table class="docs-table">
+                <thead><tr><th>Name</th><th>In</th><th>Type</th><th>Description</th></tr></thead>
+                <tbody>
+                    ${parameters.map(parameter => `
+                        <tr>
+                            <td><code>${escapeHtml(parameter.name)}</code>${parameter.required ? ' <span class="docs-required">required</span>' : ''}</td>
+                            <td>${escapeHtml(parameter.in)}</td>
+                            <td class="docs-type">${escapeHtml(schemaType(this.spec, parameter.schema))}</td>
+                            <td>${escapeHtml(parameter.description || '')}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    renderResponses(responses) {
+        return Object.entries(responses).map(([status, response]) => {
+            const resolved = resolveRef(this.spec, response) || {};
+            const [contentType, content] = Object.entries(resolved.content || {})[0] || [];
+            const schema = content && content.schema;
+            return `
+                <div class="docs-response">
+                    <span class="docs-status docs-status-${status[0]}xx">${escapeHtml(status)}</span>
+                    ${escapeHtml(resolved.description || '')}
+                    ${contentType && contentType !== 'application/json' ? `<code>${escapeHtml(contentType)}</code>` : ''}
+                    ${schema ? this.renderSchemaLink(schema) : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Named schemas link to the schema list; inline ones are expanded in place
+    renderSchemaLink(schema) {
+        const name = refName(schema);
+        if (name) return `<a class="docs-type" href="#schema-${escapeHtml(name)}">${escapeHtml(name)}</a>`;
+        return this.renderSchema(schema);
+    }
+
+    renderSchema(schema, depth = 0) {
+        const name = refName(schema);
+        if (name && depth > 0) return `<a class="docs-type" href="#schema-${escapeHtml(name)}">${escapeHtml(name)}</a>`;
+        const resolved = resolveRef(this.spec, schema) || {};
+        if (depth > MAX_SCHEMA_DEPTH) return '<span class="docs-type">…</span>';
+
+        const parts = [...(resolved.allOf || [])];
+        if (parts.length) return parts.map(part => this.renderSchema(part, depth + 1)).join('');
+
+        const items = resolved.type === 'array' && resolved.items && resolveRef(this.spec, resolved.items);
+        if (items && (items.properties || items.allOf) && !refName(resolved.items)) return this.renderSchema(resolved.items, depth + 1);
+
+        const properties = Object.entries(resolved.properties || {});
+        if (!properties.length) {
+            return `<span class="docs-type">${escapeHtml(schemaType(this.spec, resolved))}</span>`
+                + (resolved.description ? ` <span class="docs-description">${escapeHtml(resolved.description)}</span>` : '');
+        }
+
+        const required = new Set(resolved.required || []);
+        return `
+            <ul class="docs-properties">
+                ${properties.map(([key, property]) => {
+                    const propertySchema = resolveRef(this.spec, property) || {};
+                    const nested = !refName(property) && (propertySchema.properties || propertySchema.allOf
+                        || (propertySchema.items && !refName(propertySchema.items) && resolveRef(this.spec, propertySchema.items).properties));
+                    return `
+                        <li>
+                            <code>${escapeHtml(key)}</code>${required.has(key) ? '<span class="docs-required">*</span>' : ''}
+                            ${refName(property) ? this.renderSchemaLink(property) : `<span class="docs-type">${escapeHtml(schemaType(this.spec, property))}</span>`}
+                            ${propertySchema.description ? `<span class="docs-description">${escapeHtml(propertySchema.description)}</span>` : ''}
+                            ${nested ? this.renderSchema(property, depth + 1) : ''}
+                        </li>
+                    `;
+                }).join('')}
+            </ul>
+        `;
+    }
+
+    renderTryIt(path, parameters) {
+        const inputs = parameters.filter(parameter => parameter.in === 'path' || parameter.in === 'query');
+        return `
+            <form class="docs-try" data-path="${escapeHtml(path)}">
+                ${inputs.map(parameter => `
+                    <label>
+                        <span>${escapeHtml(parameter.name)}</span>
+                        <input name="${escapeHtml(parameter.name)}" data-in="${escapeHtml(parameter.in)}"
+                            placeholder="${escapeHtml(parameter.example !== undefined ? parameter.example : '')}"
+                            ${parameter.required ? 'required' : ''}>
+                    </label>
+                `).join('')}
+                <button type="submit" class="btn btn-secondary">Try it</button>
+                <pre class="docs-result" hidden></pre>
+            </form>
+        `;
+    }
+
+    async tryOperation(form) {
+        const result = form.querySelector('.docs-result');
+        const query = new URLSearchParams();
+        let path = form.dataset.path;
+        form.querySelectorAll('input').forEach(input => {
+            if (!input.value) return;
+            if (input.dataset.in === 'path') path = path.replace(`{${input.name}}`, encodeURIComponent(input.value));
+            else query.set(input.name, input.value);
+        });
+        const url = `${path}${query.toString() ? `?${query}` : ''}`;
+
+        result.hidden = false;
+        result.textContent = `GET ${url} …`;
+        try {
+            const response = await fetch(url, { cache: 'no-cache', credentials: 'same-origin' });
+            const type = response.headers.get('content-type') || '';
+            const body = type.includes('application/json')
+                ? JSON.stringify(await response.json(), null, 2)
+                : (await response.text()).slice(0, 5000);
+            result.textContent = `GET ${url} → ${response.status}\n\n${body}`;
+        } catch (error) {
+            result.textContent = `GET ${url} failed: ${error.message}`;
+        }
+    }
+
+    filter(text) {
+        const needle = text.trim().toLowerCase();
+        this.elements.operations.querySelectorAll('.docs-operation').forEach(element => {
+            element.hidden = Boolean(needle) && !element.dataset.search.includes(needle);
+        });
+        this.elements.operations.querySelectorAll('.docs-group').forEach(group => {
+            group.hidden = !group.querySelector('.docs-operation:not([hidden])');
+        });
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    window.apiDocs = new ApiDocs();
+});
@@ -22,21 +22,83 @@ class DockerWebServer {
             sslCheck: document.getElementById('ssl-check'),
             uptime: document.getElementById('uptime'),
             responseTime: document.getElementById('response-time'),
-            requests: document.getElementById('requests')
+            requests: document.getElementById('requests'),
+            backendData: document.getElementById('backend-data'),
+            staleWarning: document.getElementById('stale-warning'),
+            metricsDisplay: document.querySelector('.metrics-display')
         };
 
         // Configuration
         this.config = {
             healthCheckInterval: 30000, // 30 seconds
             metricsUpdateInterval: 5000, // 5 seconds
-            animationDuration: 300
+            animationDuration: 300,
+            maxLogLines: 1000,
+            eventTransport: 'sse', // 'sse' or 'websocket'
+            reconnectMinDelay: 1000,
+            reconnectMaxDelay: 30000,
+            staleAfter: 15000, // warn when the API has been silent this long
+            chartRefreshInterval: 60000, // 1 minute
+            // Query window and resolution per selectable chart range
+            chartRanges: {
+                '15m': { from: '15m', step: '15s' },
+                '1h': { from: '1h', step: '1m' },
+                '24h': { from: '24h', step: '15m' },
+                '7d': { from: '7d', step: '2h' }
+            },
+            sparklineRange: { from: '15m', step: '30s' },
+            // Compose services the backend lets operators act on (containers.allowedServices)
+            actionServices: ['nginx', 'frontend'],
+            features: {
+                containerActions: true,
+                logViewer: true,
+                liveEvents: true
+            }
+        };
+
+        // Login elements
+        this.authElements = {
+            overlay: document.getElementById('login-overlay'),
+            form: document.getElementById('login-form'),
+            error: document.getElementById('login-error'),
+            user: document.getElementById('nav-user'),
+            userName: document.getElementById('nav-user-name'),
+            logout: document.getElementById('logout-button'),
+            signIn: document.getElementById('nav-sign-in'),
+            login: document.getElementById('login-button'),
+            cancel: document.getElementById('login-cancel')
+        };
+
+        // Log viewer elements
+        this.logElements = {
+            container: document.getElementById('log-container'),
+            filter: document.getElementById('log-filter'),
+            follow: document.getElementById('log-follow'),
+            connect: document.getElementById('log-connect'),
+            pause: document.getElementById('log-pause'),
+            clear: document.getElementById('log-clear'),
+            output: document.getElementById('log-output'),
+            state: document.getElementById('log-state')
         };
 
         // State
         this.state = {
             isMenuOpen: false,
             lastHealthCheck: null,
-            startTime: Date.now()
+            logSource: null,
+            logPaused: false,
+            logBuffer: [],
+            eventSource: null,
+            eventConnected: false,
+            reconnectDelay: 1000,
+            reconnectTimer: null,
+            pollTimers: [],
+            backendStatus: null,
+            backendMetrics: null,
+            lastApiUpdate: null,
+            user: null,
+            chartRange: '1h',
+            charts: null
         };
     }
 
@@ -62,6 +124,33 @@ class DockerWebServer {
 
         // Keyboard navigation
         document.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        // Login and logout
+        if (this.authElements.form) {
+            this.authElements.form.addEventListener('submit', (e) => this.handleLogin(e));
+            this.authElements.logout.addEventListener('click', () => this.logout());
+            this.authElements.login.addEventListener('click', () => this.showLogin());
+            this.authElements.cancel.addEventListener('click', () => this.hideLogin());
+        }
+
+        // Log viewer controls
+        if (this.logElements.connect) {
+            this.logElements.connect.addEventListener('click', () => this.toggleLogStream());
+            this.logElements.pause.addEventListener('click', () => this.toggleLogPause());
+            this.logElements.clear.addEventListener('click', () => {
+                this.logElements.output.textContent = '';
+            });
+        }
+
+        // Chart range selector
+        document.querySelectorAll('.chart-range').forEach(button => {
+            button.addEventListener('click', () => this.setChartRange(button.dataset.range));
+        });
+
+        // Container action buttons on the status cards
+        document.querySelectorAll('.card-actions .card-action').forEach(button => {
+            button.addEventListener('click', (e) => this.handleContainerAction(e));
+        });
     }
 
     toggleMobileMenu() {
@@ -117,6 +206,11 @@ class DockerWebServer {
         if (window.innerWidth > 768 && this.state.isMenuOpen) {
             this.toggleMobileMenu();
         }
+
+        // Charts size themselves to their container
+        if (this.state.charts) {
+            Object.values(this.state.charts).forEach(chart => chart.render());
+        }
     }
 
     handleOutsideClick(e) {
@@ -132,6 +226,11 @@ class DockerWebServer {
         if (e.key === 'Escape' && this.state.isMenuOpen) {
             this.toggleMobileMenu();
         }
+
+        // Anonymous visitors can back out of the login screen
+        if (e.key === 'Escape' && !this.authElements.cancel.hidden) {
+            this.hideLogin();
+        }
     }
 
     updateActiveNavLink(targetId) {
@@ -158,33 +257,392 @@ class DockerWebServer {
         });
     }
 
-    startStatusMonitoring() {
+    // fetch() for the backend API: sends the session cookie and opens the login screen on 401
+    async apiFetch(url, options = {}) {
+        const response = await fetch(url, {
+            cache: 'no-cache',
+            credentials: 'same-origin',
+            ...options
+        });
+        if (response.status === 401) {
+            this.showLogin();
+        }
+        return response;
+    }
+
+    async loadCurrentUser() {
+        try {
+            const response = await this.apiFetch('/api/v1/auth/me');
+            if (!response.ok) return;
+            const { user } = await response.json();
+            this.setCurrentUser(user);
+        } catch (error) {
+            console.error('Failed to load current user:', error);
+        }
+    }
+
+    setCurrentUser(user) {
+        this.state.user = user;
+        const { user: badge, userName, signIn } = this.authElements;
+        if (!badge) return;
+
+        const signedIn = Boolean(user) && user.via === 'session';
+        badge.hidden = !signedIn;
+        userName.textContent = signedIn ? `${user.name} (${user.role})` : '';
+
+        // Anonymous access never answers 401, so the login screen has to be asked for
+        signIn.hidden = !(user && user.via === 'anonymous');
+    }
+
+    showLogin() {
+        const { overlay, form, cancel } = this.authElements;
+        if (!overlay || !overlay.hidden) return;
+
+        cancel.hidden = !(this.state.user && this.state.user.via === 'anonymous');
+        overlay.hidden = false;
+        form.elements.username.focus();
+    }
+
+    hideLogin() {
+        const { overlay, form, error, cancel } = this.authElements;
+        form.reset();
+        error.textContent = '';
+        cancel.hidden = true;
+        overlay.hidden = true;
+    }
+
+    async handleLogin(e) {
+        e.preventDefault();
+        const { form, error } = this.authElements;
+        error.textContent = '';
+
+        try {
+            const response = await fetch('/api/v1/auth/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'same-origin',
+                body: JSON.stringify({
+                    username: form.elements.username.value,
+                    password: form.elements.password.value
+                })
+            });
+            const body = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                error.textContent = body.message || 'Login failed';
+                return;
+            }
+
+            this.hideLogin();
+            this.setCurrentUser(body.user);
+
+            // Pick everything up again with the new session
+            this.refreshStatus();
+            this.updateMetrics();
+            if (!this.state.eventConnected) {
+                clearTimeout(this.state.reconnectTimer);
+                this.state.reconnectTimer = null;
+                this.state.reconnectDelay = this.config.reconnectMinDelay;
+                this.connectEvents();
+            }
+        } catch (err) {
+            error.textContent = `Login failed: ${err.message}`;
+        }
+    }
+
+    async logout() {
+        await fetch('/api/v1/auth/logout', { method: 'POST', credentials: 'same-origin' }).catch(() => {});
+        this.setCurrentUser(null);
+        this.handleEventsLost();
+        // Back to anonymous access when the server allows it, otherwise the login screen
+        this.loadCurrentUser();
+    }
+
+    // Server-side settings (GET /api/v1/config) override the defaults above
+    async loadConfig() {
+        try {
+            const response = await fetch('/api/v1/config', { credentials: 'same-origin' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const { frontend } = await response.json();
+            const { features, ...settings } = frontend;
+            Object.assign(this.config, settings);
+            Object.assign(this.config.features, features);
+        } catch (error) {
+            console.warn('Using default dashboard settings:', error.message);
+        }
+
+        this.applyFeatureToggles();
+    }
+
+    applyFeatureToggles() {
+        const { features, actionServices } = this.config;
+
+        document.querySelectorAll('.card-actions').forEach(group => {
+            const allowed = features.containerActions && actionServices.includes(group.dataset.service);
+            group.querySelectorAll('.card-action').forEach(button => {
+                button.hidden = !allowed;
+            });
+        });
+
+        const logViewer = document.getElementById('log-viewer');
+        if (logViewer) logViewer.hidden = !features.logViewer;
+    }
+
+    async startStatusMonitoring() {
+        await this.loadConfig();
+
+        // Who is signed in (also brings up the login screen when nobody is)
+        this.loadCurrentUser();
+
         // Initial status check
         this.checkSystemStatus();
         this.updateMetrics();
 
-        // Set up intervals
-        setInterval(() => this.checkSystemStatus(), this.config.healthCheckInterval);
-        setInterval(() => this.updateMetrics(), this.config.metricsUpdateInterval);
+        // Poll until the push channel is up, then let it drive updates
+        this.startPolling();
+        this.connectEvents();
+
+        // Flag stale data whatever the transport
+        setInterval(() => this.checkStaleness(), this.config.metricsUpdateInterval);
+
+        // History charts are polled; the push channel only carries current values
+        this.initializeCharts();
+        this.updateInsights();
+        setInterval(() => {
+            this.updateCharts();
+            this.updateInsights();
+        }, this.config.chartRefreshInterval);
+    }
+
+    startPolling() {
+        if (this.state.pollTimers.length) return;
+
+        this.state.pollTimers = [
+            setInterval(() => this.checkSystemStatus(), this.config.healthCheckInterval),
+            setInterval(() => this.updateMetrics(), this.config.metricsUpdateInterval)
+        ];
+    }
+
+    stopPolling() {
+        this.state.pollTimers.forEach(timer => clearInterval(timer));
+        this.state.pollTimers = [];
+    }
+
+    connectEvents() {
+        if (!this.config.features.liveEvents) return;
+
+        const useWebSocket = this.config.eventTransport === 'websocket' && 'WebSocket' in window;
+        if (!useWebSocket && !('EventSource' in window)) return;
+
+        if (useWebSocket) {
+            const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+            const socket = new WebSocket(`${protocol}//${window.location.host}/api/v1/events/ws`);
+            this.state.eventSource = socket;
+
+            socket.addEventListener('open', () => this.handleEventsOpen());
+            socket.addEventListener('message', (e) => {
+                const { type, data } = JSON.parse(e.data);
+                this.handleServerEvent(type, data);
+            });
+            socket.addEventListener('close', () => this.handleEventsLost());
+        } else {
+            const source = new EventSource('/api/v1/events');
+            this.state.eventSource = source;
+
+            source.addEventListener('open', () => this.handleEventsOpen());
+            ['status', 'metrics', 'container'].forEach(type => {
+                source.addEventListener(type, (e) => this.handleServerEvent(type, JSON.parse(e.data)));
+            });
+            source.addEventListener('error', () => this.handleEventsLost());
+        }
+    }
+
+    handleEventsOpen() {
+        this.state.eventConnected = true;
+        this.state.reconnectDelay = this.config.reconnectMinDelay;
+        this.stopPolling();
+    }
+
+    // Fall back to polling and retry the push channel with exponential backoff
+    handleEventsLost() {
+        if (this.state.eventSource) {
+            this.state.eventSource.close();
+            this.state.eventSource = null;
+        }
+        this.state.eventConnected = false;
+        this.startPolling();
+
+        if (this.state.reconnectTimer) return;
+        const delay = this.state.reconnectDelay;
+        this.state.reconnectDelay = Math.min(delay * 2, this.config.reconnectMaxDelay);
+        this.state.reconnectTimer = setTimeout(() => {
+            this.state.reconnectTimer = null;
+            this.connectEvents();
+        }, delay);
+    }
+
+    handleServerEvent(type, data) {
+        if (type === 'status') {
+            this.applyStatus(data);
+        } else if (type === 'metrics') {
+            this.applyMetrics(data);
+        } else if (type === 'container') {
+            this.updateContainerStats();
+        }
+    }
+
+    applyStatus(status) {
+        const { docker, healthCheck } = status.services;
+        this.state.backendStatus = status;
+
+        const containerLabel = docker.status === 'online'
+            ? `${docker.containers} running`
+            : undefined;
+        this.updateStatusIndicator('docker-status', docker.status, containerLabel);
+        this.updateStatusIndicator('health-check', healthCheck.status, healthCheck.status === 'offline' ? 'Unhealthy' : undefined);
+        this.state.lastHealthCheck = new Date(healthCheck.lastCheck || status.timestamp);
+        if (status.services.ssl) this.applySslStatus(status.services.ssl);
+
+        if (this.statusElements.backendData) {
+            this.statusElements.backendData.textContent =
+                `Backend v${status.server.version} · ${status.server.status} · up ${status.server.uptime}`;
+        }
+
+        this.markApiUpdate();
+    }
+
+    // Card label follows the certificate closest to expiry (or the first failure)
+    applySslStatus(ssl) {
+        const certificates = ssl.certificates || [];
+        const inspected = certificates.filter(certificate => certificate.daysRemaining !== undefined);
+        const soonest = inspected.sort((a, b) => a.daysRemaining - b.daysRemaining)[0];
+        const days = soonest ? soonest.daysRemaining : null;
+
+        const labels = {
+            valid: `Valid · ${days} days left`,
+            warning: `Expires in ${days} days`,
+            critical: certificates.some(c => c.chain && !c.chain.valid) ? 'Chain invalid' : `Expires in ${days} days`,
+            expired: 'Expired',
+            error: 'Check failed',
+            unconfigured: 'Not configured'
+        };
+        this.updateStatusIndicator('ssl-check', ssl.status, labels[ssl.certificate]);
+        this.renderCertificates(certificates);
+    }
+
+    renderCertificates(certificates) {
+        const details = document.getElementById('ssl-details');
+        const list = document.getElementById('ssl-certificates');
+        if (!details || !list) return;
+
+        const dots = { valid: 'online', warning: 'degraded' };
+        list.replaceChildren(...certificates.map(certificate => {
+            const item = document.createElement('li');
+            item.className = `health-check-item ${certificate.status}`;
+
+            const dot = document.createElement('span');
+            dot.className = `status-dot ${dots[certificate.status] || 'offline'}`;
+
+            const name = document.createElement('span');
+            name.className = 'health-check-name';
+            name.textContent = certificate.subject || certificate.source;
+            name.title = certificate.source;
+
+            const expiry = document.createElement('span');
+            expiry.className = 'health-check-latency';
+            expiry.textContent = certificate.daysRemaining !== undefined ? `${certificate.daysRemaining}d` : '';
+
+            item.append(dot, name, expiry);
+
+            const info = document.createElement('span');
+            info.className = certificate.error || (certificate.chain && !certificate.chain.valid)
+                ? 'health-check-error'
+                : 'ssl-certificate-info';
+            info.textContent = certificate.error
+                || [
+                    `Issuer: ${certificate.issuer}`,
+                    certificate.subjectAltNames.length ? `SANs: ${certificate.subjectAltNames.join(', ')}` : null,
+                    certificate.chain.valid ? 'Chain valid' : `Chain: ${certificate.chain.error}`
+                ].filter(Boolean).join(' · ');
+            item.append(info);
+            return item;
+        }));
+
+        details.hidden = certificates.length === 0;
+    }
+
+    applyMetrics(metrics) {
+        const { uptime, performance } = metrics;
+        this.state.backendMetrics = metrics;
+
+        if (this.statusElements.uptime) {
+            this.statusElements.uptime.textContent = uptime.duration;
+            this.statusElements.uptime.title = uptime.percentage !== null
+                ? `${uptime.percentage}% available over ${uptime.window}`
+                : 'No availability history yet';
+        }
+        if (this.statusElements.responseTime) {
+            this.statusElements.responseTime.textContent = `${performance.averageResponseTime}ms`;
+        }
+        if (this.statusElements.requests) {
+            this.statusElements.requests.textContent = performance.requestsPerHour.toLocaleString();
+        }
+
+        this.markApiUpdate();
+    }
+
+    markApiUpdate() {
+        this.state.lastApiUpdate = Date.now();
+        this.checkStaleness();
+    }
+
+    checkStaleness() {
+        const { staleWarning, metricsDisplay } = this.statusElements;
+        const last = this.state.lastApiUpdate;
+        const isStale = !last || Date.now() - last > this.config.staleAfter;
+
+        if (metricsDisplay) {
+            metricsDisplay.classList.toggle('stale', isStale);
+        }
+        if (staleWarning) {
+            staleWarning.hidden = !isStale;
+            staleWarning.textContent = last
+                ? `Backend API not responding. Showing data from ${new Date(last).toLocaleTimeString()}.`
+                : 'Waiting for data from the backend API...';
+        }
     }
 
     async checkSystemStatus() {
         try {
             // Check web server status
             await this.checkWebServerStatus();
+
+            // Backend status cards
+            await this.fetchBackendStatus();
             
             // Check health endpoint
             await this.checkHealthEndpoint();
+
+            // Update per-service resource usage
+            await this.updateContainerStats();
             
-            // Update SSL status
-            this.checkSSLStatus();
-            
-            this.state.lastHealthCheck = new Date();
         } catch (error) {
             console.error('Status check failed:', error);
         }
     }
 
+    async fetchBackendStatus() {
+        try {
+            const response = await this.apiFetch('/api/v1/status');
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.applyStatus(await response.json());
+        } catch (error) {
+            // Leave the last known values in place; checkStaleness flags them
+            this.checkStaleness();
+        }
+    }
+
     async checkWebServerStatus() {
         try {
             const response = await fetch(window.location.origin, {
@@ -200,31 +658,91 @@ class DockerWebServer {
 
     async checkHealthEndpoint() {
         try {
-            const startTime = performance.now();
             const response = await fetch('/health', {
                 cache: 'no-cache'
             });
-            const endTime = performance.now();
-            
-            const isHealthy = response.ok && response.status === 200;
-            this.updateStatusIndicator('health-check', isHealthy ? 'online' : 'offline');
             
-            // Update response time
-            const responseTime = Math.round(endTime - startTime);
-            if (this.statusElements.responseTime) {
-                this.statusElements.responseTime.textContent = `${responseTime}ms`;
-            }
+            // 503 means the backend answered but a critical check failed
+            if (!response.ok && response.status !== 503) throw new Error(`HTTP ${response.status}`);
+
+            const { status, checks } = await response.json();
+            const indicators = { healthy: 'online', degraded: 'degraded', unhealthy: 'offline' };
+            this.updateStatusIndicator('health-check', indicators[status] || 'degraded', status === 'unhealthy' ? 'Unhealthy' : undefined);
+            this.renderHealthChecks(checks || []);
         } catch (error) {
             this.updateStatusIndicator('health-check', 'offline');
         }
     }
 
-    checkSSLStatus() {
-        const isHTTPS = window.location.protocol === 'https:';
-        this.updateStatusIndicator('ssl-check', isHTTPS ? 'online' : 'offline');
+    // One row per dependency check: status, latency and the last error
+    renderHealthChecks(checks) {
+        const details = document.getElementById('health-details');
+        const list = document.getElementById('health-checks');
+        if (!details || !list) return;
+
+        list.replaceChildren(...checks.map(check => {
+            const item = document.createElement('li');
+            item.className = `health-check-item ${check.status}`;
+
+            const dot = document.createElement('span');
+            dot.className = `status-dot ${check.status === 'pass' ? 'online' : check.critical ? 'offline' : 'degraded'}`;
+
+            const name = document.createElement('span');
+            name.className = 'health-check-name';
+            name.textContent = check.name;
+            name.title = check.description || '';
+
+            const latency = document.createElement('span');
+            latency.className = 'health-check-latency';
+            latency.textContent = `${check.latencyMs}ms${check.critical ? '' : ' · optional'}`;
+
+            item.append(dot, name, latency);
+
+            if (check.status === 'fail' && check.lastError) {
+                const error = document.createElement('span');
+                error.className = 'health-check-error';
+                error.textContent = check.lastError.message;
+                item.append(error);
+            }
+            return item;
+        }));
+
+        details.hidden = checks.length === 0;
+    }
+
+    async updateContainerStats() {
+        const targets = document.querySelectorAll('.card-stats[data-service]');
+        if (!targets.length) return;
+
+        try {
+            const services = [...new Set([...targets].map(target => target.dataset.service))];
+            const response = await this.apiFetch(`/api/v1/containers/stats?service=${encodeURIComponent(services.join(','))}`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const { containers } = await response.json();
+
+            targets.forEach(target => {
+                const stats = containers.find(c => c.service === target.dataset.service);
+                target.textContent = stats && !stats.error
+                    ? `CPU ${stats.cpuPercent.toFixed(1)}% · Mem ${this.formatBytes(stats.memory.usage)} / ${this.formatBytes(stats.memory.limit)} · Net ↓${this.formatBytes(stats.network.rxBytes)} ↑${this.formatBytes(stats.network.txBytes)}`
+                    : '';
+            });
+        } catch (error) {
+            targets.forEach(target => { target.textContent = ''; });
+        }
+    }
+
+    formatBytes(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        let value = bytes;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
     }
 
-    updateStatusIndicator(elementId, status) {
+    updateStatusIndicator(elementId, status, label) {
         const element = document.getElementById(elementId);
         if (!element) return;
 
@@ -239,31 +757,282 @@ class DockerWebServer {
             const statusTexts = {
                 online: 'Online',
                 offline: 'Offline',
+                degraded: 'Degraded',
+                unknown: 'Unknown',
                 checking: 'Checking...'
             };
-            text.textContent = statusTexts[status] || 'Unknown';
+            text.textContent = label || statusTexts[status] || 'Unknown';
         }
     }
 
-    updateMetrics() {
-        // Update uptime
-        if (this.statusElements.uptime) {
-            const uptime = Date.now() - this.state.startTime;
-            const hours = Math.floor(uptime / (1000 * 60 * 60));
-            const days = Math.floor(hours / 24);
-            
-            if (days > 0) {
-                this.statusElements.uptime.textContent = `${days}d ${hours % 24}h`;
+    async handleContainerAction(e) {
+        const button = e.currentTarget;
+        const service = button.closest('.card-actions').dataset.service;
+        const action = button.dataset.action;
+        const result = button.closest('.status-card').querySelector('.card-action-result');
+
+        if (action === 'remove' && !window.confirm(`Remove the ${service} container?`)) return;
+
+        const buttons = button.closest('.card-actions').querySelectorAll('.card-action');
+        buttons.forEach(b => { b.disabled = true; });
+        this.showActionResult(result, `${action} ${service}...`);
+
+        try {
+            const url = action === 'remove'
+                ? `/api/v1/containers/${encodeURIComponent(service)}`
+                : `/api/v1/containers/${encodeURIComponent(service)}/${action}`;
+            const response = await this.apiFetch(url, {
+                method: action === 'remove' ? 'DELETE' : 'POST'
+            });
+            const body = await response.json().catch(() => ({}));
+
+            if (response.ok) {
+                this.showActionResult(result, `${body.container || service}: ${action} succeeded`);
+                this.refreshStatus();
             } else {
-                this.statusElements.uptime.textContent = `${hours}h`;
+                this.showActionResult(result, body.message || `${action} failed (${response.status})`, true);
             }
+        } catch (error) {
+            this.showActionResult(result, `${action} failed: ${error.message}`, true);
+        } finally {
+            buttons.forEach(b => { b.disabled = false; });
+        }
+    }
+
+    showActionResult(element, message, isError = false) {
+        if (!element) return;
+        element.textContent = message;
+        element.classList.toggle('error', isError);
+    }
+
+    toggleLogStream() {
+        if (this.state.logSource) {
+            this.disconnectLogs('Disconnected');
+        } else {
+            this.connectLogs();
         }
+    }
 
-        // Simulate request counter (in a real app, this would come from analytics)
-        if (this.statusElements.requests) {
-            const baseRequests = 1200;
-            const variance = Math.floor(Math.random() * 200) - 100;
-            this.statusElements.requests.textContent = `${(baseRequests + variance).toLocaleString()}`;
+    connectLogs() {
+        const { container, filter, follow, connect } = this.logElements;
+        const params = new URLSearchParams({ tail: '200', follow: String(follow.checked) });
+        const filterValue = filter.value.trim();
+        if (filterValue) params.set('filter', filterValue);
+
+        const source = new EventSource(`/api/v1/containers/${encodeURIComponent(container.value)}/logs?${params}`);
+        this.state.logSource = source;
+        connect.textContent = 'Disconnect';
+        this.setLogState(`Connecting to ${container.value}...`);
+
+        source.addEventListener('container', (e) => {
+            const info = JSON.parse(e.data);
+            this.setLogState(info.follow ? `Following ${info.name}` : `Showing recent logs of ${info.name}`);
+        });
+        source.addEventListener('log', (e) => this.handleLogLine(JSON.parse(e.data)));
+        source.addEventListener('log-error', (e) => {
+            this.disconnectLogs(`Stream error: ${JSON.parse(e.data).message}`);
+        });
+        source.addEventListener('end', () => this.disconnectLogs('Stream ended'));
+        source.onerror = () => {
+            // A non-SSE reply (e.g. unknown container) closes the source for good
+            if (source.readyState === EventSource.CLOSED) {
+                this.disconnectLogs('Unable to open log stream');
+            } else {
+                this.setLogState('Connection lost, retrying...');
+            }
+        };
+    }
+
+    disconnectLogs(message) {
+        if (this.state.logSource) {
+            this.state.logSource.close();
+            this.state.logSource = null;
+        }
+        this.logElements.connect.textContent = 'Connect';
+        this.setLogState(message);
+    }
+
+    toggleLogPause() {
+        this.state.logPaused = !this.state.logPaused;
+        this.logElements.pause.textContent = this.state.logPaused ? 'Resume' : 'Pause';
+
+        if (!this.state.logPaused) {
+            this.state.logBuffer.forEach(line => this.appendLogLine(line));
+            this.state.logBuffer = [];
+        }
+    }
+
+    handleLogLine(line) {
+        if (this.state.logPaused) {
+            this.state.logBuffer.push(line);
+            if (this.state.logBuffer.length > this.config.maxLogLines) {
+                this.state.logBuffer.shift();
+            }
+            return;
+        }
+        this.appendLogLine(line);
+    }
+
+    appendLogLine(line) {
+        const output = this.logElements.output;
+        // Only auto-scroll when the user is already at the bottom
+        const atBottom = output.scrollHeight - output.scrollTop - output.clientHeight < 20;
+
+        const row = document.createElement('div');
+        row.className = `log-line ${line.stream}`;
+        if (line.timestamp) {
+            const time = document.createElement('span');
+            time.className = 'log-time';
+            time.textContent = `${new Date(line.timestamp).toLocaleTimeString()} `;
+            row.appendChild(time);
+        }
+        row.appendChild(document.createTextNode(line.message));
+        output.appendChild(row);
+
+        while (output.childElementCount > this.config.maxLogLines) {
+            output.removeChild(output.firstElementChild);
+        }
+
+        if (atBottom) {
+            output.scrollTop = output.scrollHeight;
+        }
+    }
+
+    setLogState(message) {
+        if (this.logElements.state) {
+            this.logElements.state.textContent = message;
+        }
+    }
+
+    async updateMetrics() {
+        try {
+            const response = await this.apiFetch('/api/v1/metrics');
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.applyMetrics(await response.json());
+        } catch (error) {
+            this.checkStaleness();
+        }
+    }
+
+    initializeCharts() {
+        const element = (id) => document.getElementById(id);
+        if (!window.TimeSeriesChart || !element('charts')) return;
+
+        const percent = value => `${Math.round(value)}%`;
+        this.state.charts = {
+            responseTime: new TimeSeriesChart(element('chart-response-time'), { unit: ' ms' }),
+            requests: new TimeSeriesChart(element('chart-requests')),
+            containerCpu: new TimeSeriesChart(element('chart-container-cpu'), { formatValue: percent }),
+            containerMemory: new TimeSeriesChart(element('chart-container-memory'), { formatValue: percent })
+        };
+        this.updateCharts();
+    }
+
+    setChartRange(range) {
+        if (!this.config.chartRanges[range]) return;
+
+        this.state.chartRange = range;
+        document.querySelectorAll('.chart-range').forEach(button => {
+            button.classList.toggle('active', button.dataset.range === range);
+        });
+        this.updateCharts();
+    }
+
+    // Points ([timestamp, value|null]) for one metric from GET /api/v1/metrics/history
+    async fetchHistory(metric, { from, step }) {
+        const params = new URLSearchParams({ metric, from, step });
+        const response = await this.apiFetch(`/api/v1/metrics/history?${params}`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const { points } = await response.json();
+        return points;
+    }
+
+    async updateCharts() {
+        this.updateSparklines();
+        if (!this.state.charts) return;
+
+        const range = this.config.chartRanges[this.state.chartRange];
+        const services = [...document.querySelectorAll('.card-stats[data-service]')].map(el => el.dataset.service);
+        const history = (metric) => this.fetchHistory(metric, range);
+
+        try {
+            const [p50, p95, rate, cpu, memory] = await Promise.all([
+                history('response_time_p50'),
+                history('response_time_p95'),
+                history('request_rate'),
+                Promise.all(services.map(service => history(`container.${service}.cpu`))),
+                Promise.all(services.map(service => history(`container.${service}.memory`)))
+            ]);
+            const { charts } = this.state;
+
+            charts.responseTime.setData([
+                { name: 'p50', points: p50 },
+                { name: 'p95', points: p95 }
+            ]);
+            charts.requests.setData([{
+                name: 'requests/min',
+                points: rate.map(([t, value]) => [t, value === null ? null : Math.round(value * 60 * 10) / 10])
+            }]);
+            charts.containerCpu.setData(services.map((service, i) => ({ name: service, points: cpu[i] })));
+            charts.containerMemory.setData(services.map((service, i) => ({ name: service, points: memory[i] })));
+        } catch (error) {
+            console.warn('Failed to load metrics history:', error.message);
+        }
+    }
+
+    async updateSparklines() {
+        if (!window.renderSparkline) return;
+
+        await Promise.all([...document.querySelectorAll('.card-sparkline[data-metric]')].map(async (element) => {
+            try {
+                renderSparkline(element, await this.fetchHistory(element.dataset.metric, this.config.sparklineRange));
+            } catch (error) {
+                element.replaceChildren();
+            }
+        }));
+    }
+
+    // Top consumers and restarts from Prometheus/cAdvisor (GET /api/v1/insights/containers)
+    async updateInsights() {
+        const state = document.getElementById('insights-state');
+        if (!state) return;
+
+        try {
+            const response = await this.apiFetch('/api/v1/insights/containers?window=1h');
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.message || `HTTP ${response.status}`);
+
+            this.renderInsightsList('insights-cpu', data.cpu, entry => `${entry.cpuPercent}%`);
+            this.renderInsightsList('insights-memory', data.memory, entry =>
+                (entry.percent === null ? this.formatBytes(entry.usageBytes) : `${this.formatBytes(entry.usageBytes)} (${entry.percent}%)`));
+            this.renderInsightsList('insights-restarts', data.restarts, entry => String(entry.restarts), entry => entry.spike);
+            state.textContent = `Updated ${new Date(data.timestamp).toLocaleTimeString()}`;
+        } catch (error) {
+            state.textContent = `Monitoring data unavailable: ${error.message}`;
+        }
+    }
+
+    renderInsightsList(id, entries, formatValue, isAlert = () => false) {
+        const list = document.getElementById(id);
+        list.replaceChildren(...entries.map(entry => {
+            const item = document.createElement('li');
+            item.className = `insights-item${isAlert(entry) ? ' alert' : ''}`;
+
+            const name = document.createElement('span');
+            name.textContent = entry.service || entry.name;
+            name.title = entry.name;
+            const value = document.createElement('strong');
+            value.textContent = formatValue(entry);
+
+            item.append(name, value);
+            return item;
+        }));
+
+        if (!entries.length) {
+            const empty = document.createElement('li');
+            empty.className = 'insights-item empty';
+            empty.textContent = 'None';
+            list.append(empty);
         }
     }
 
@@ -290,10 +1059,12 @@ class DockerWebServer {
 
     // Public API methods
     getSystemStatus() {
+        const status = this.state.backendStatus;
         return {
             lastHealthCheck: this.state.lastHealthCheck,
-            uptime: Date.now() - this.state.startTime,
-            isOnline: true // This would be determined by actual checks
+            uptime: this.state.backendMetrics ? this.state.backendMetrics.uptime.duration : null,
+            isOnline: Boolean(status) && status.server.status === 'online',
+            isStale: !this.state.lastApiUpdate || Date.now() - this.state.lastApiUpdate > this.config.staleAfter
         };
     }
 